@@ -0,0 +1,39 @@
+/**
+ * EventEmitter - Minimal event emitter shared by ViewCube components
+ */
+export class EventEmitter {
+    constructor() {
+        this._eventListeners = {};
+    }
+
+    /**
+     * Add event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     */
+    on(event, callback) {
+        if (!this._eventListeners[event]) {
+            this._eventListeners[event] = [];
+        }
+        this._eventListeners[event].push(callback);
+        return this;
+    }
+
+    /**
+     * Remove event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler to remove
+     */
+    off(event, callback) {
+        if (this._eventListeners[event]) {
+            this._eventListeners[event] = this._eventListeners[event].filter(cb => cb !== callback);
+        }
+        return this;
+    }
+
+    _emit(event, ...args) {
+        if (this._eventListeners[event]) {
+            this._eventListeners[event].forEach(cb => cb(...args));
+        }
+    }
+}
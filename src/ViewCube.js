@@ -1,6 +1,101 @@
 import * as THREE from 'three';
+import { EventEmitter } from './EventEmitter.js';
 import { ViewCubeMesh } from './ViewCubeMesh.js';
-import { FACES, getFaceConfigs } from './faces.js';
+import { ViewCubeController } from './ViewCubeController.js';
+import { ViewCubeMenu } from './ViewCubeMenu.js';
+import { FACES, createViewConfig, getFaceConfigs, getFaceName, getReadableFaceName, getUpVector } from './faces.js';
+import { THEMES, resolveColors } from './themes.js';
+import { getBoundingSphere } from './bounds.js';
+import { calculateAngleDelta, createCanvas } from './utils.js';
+
+const HOME_ICON = `<svg viewBox="0 0 24 24" width="16" height="16" aria-hidden="true">
+  <path d="M12 3 2 12h3v8h5v-5h4v5h5v-8h3z" fill="currentColor"/>
+</svg>`;
+
+const ARROW_ICON = `<svg viewBox="0 0 24 24" width="16" height="16" aria-hidden="true">
+  <path d="M12 5 21 19H3z" fill="currentColor"/>
+</svg>`;
+
+const ROLL_ICON = `<svg viewBox="0 0 24 24" width="16" height="16" aria-hidden="true">
+  <path d="M5 13a7 7 0 1 0 3-6" fill="none" stroke="currentColor" stroke-width="2.5"/>
+  <path d="M4 3v7h7z" fill="currentColor"/>
+</svg>`;
+
+const PERSPECTIVE_ICON = `<svg viewBox="0 0 24 24" width="16" height="16" aria-hidden="true">
+  <path d="M7 5h10l4 14H3z" fill="none" stroke="currentColor" stroke-width="2"/>
+</svg>`;
+
+const ORTHOGRAPHIC_ICON = `<svg viewBox="0 0 24 24" width="16" height="16" aria-hidden="true">
+  <path d="M4 5h16v14H4z" fill="none" stroke="currentColor" stroke-width="2"/>
+</svg>`;
+
+const MOVE_ICON = `<svg viewBox="0 0 24 24" width="16" height="16" aria-hidden="true">
+  <path d="M12 2 8.5 5.5h2.5V11H5.5V8.5L2 12l3.5 3.5V13H11v5.5H8.5L12 22l3.5-3.5H13V13h5.5v2.5L22 12l-3.5-3.5V11H13V5.5h2.5z" fill="currentColor"/>
+</svg>`;
+
+const MAIN_FACES = [FACES.TOP, FACES.FRONT, FACES.RIGHT, FACES.BACK, FACES.LEFT, FACES.BOTTOM];
+
+// Camera directions within this angle (degrees) of a face count as looking at it
+const DEFAULT_FACE_TOLERANCE = 2;
+
+// Views around the cube, clockwise from FRONT seen from above, for keyboard focus
+const AZIMUTH_NAMES = ['FRONT', 'FRONT_RIGHT', 'RIGHT', 'BACK_RIGHT', 'BACK', 'BACK_LEFT', 'LEFT', 'FRONT_LEFT'];
+
+// Blender's numpad views: plain key and with Ctrl
+const NUMPAD_VIEWS = {
+    Numpad1: [FACES.FRONT, FACES.BACK],
+    Numpad3: [FACES.RIGHT, FACES.LEFT],
+    Numpad7: [FACES.TOP, FACES.BOTTOM]
+};
+
+const DEFAULT_STRINGS = {
+    cube: 'View cube',
+    instructions: 'Arrow keys choose a view, Enter goes there. Numpad 1, 3 and 7 jump to front, right and top, with Ctrl to back, left and bottom.',
+    currentView: 'Current view: {name}',
+    move: 'Move to another corner',
+    home: 'Home',
+    projection: 'Toggle perspective/orthographic',
+    rotateUp: 'Rotate up',
+    rotateRight: 'Rotate right',
+    rotateDown: 'Rotate down',
+    rotateLeft: 'Rotate left',
+    rollCounterclockwise: 'Roll counterclockwise',
+    rollClockwise: 'Roll clockwise',
+    menuHome: 'Home',
+    menuSetHome: 'Set current view as Home',
+    menuPerspective: 'Perspective',
+    menuOrthographic: 'Orthographic',
+    menuFit: 'Fit to view',
+    menuResetOrientation: 'Reset orientation',
+    menuLock: 'Lock to face'
+};
+
+// Built-in context menu actions and the strings labelling them
+const MENU_STRINGS = {
+    home: 'menuHome',
+    setHome: 'menuSetHome',
+    perspective: 'menuPerspective',
+    orthographic: 'menuOrthographic',
+    fit: 'menuFit',
+    resetOrientation: 'menuResetOrientation',
+    lock: 'menuLock'
+};
+
+const DEFAULT_MENU_ITEMS = ['home', 'setHome', '-', 'perspective', 'orthographic', '-', 'fit', 'resetOrientation', 'lock'];
+
+// Overlay corners, clockwise from the top-left
+const CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+const DEFAULT_RESPONSIVE = { scale: 0.2, minSize: 80, maxSize: 200 };
+
+const VISUALLY_HIDDEN = 'position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;';
+
+// Bounds of the automatic label texture size in pixels
+const MIN_LABEL_RESOLUTION = 64;
+const MAX_LABEL_RESOLUTION = 1024;
+
+// three.js r155 dropped the factor of π from light intensities
+const LIGHT_SCALE = parseInt(THREE.REVISION, 10) >= 155 ? Math.PI : 1;
 
 /**
  * ViewCube - A customizable 3D orientation cube for Three.js and Potree
@@ -19,56 +114,203 @@ import { FACES, getFaceConfigs } from './faces.js';
  * viewCube.on('faceClick', (faceId, config) => {
  *   // Animate camera to config.position, config.up, config.lookAt
  * });
+ *
+ * // Or let the ViewCube animate the camera itself
+ * viewCube.attachCamera(camera, controls);
  */
-export class ViewCube {
+export class ViewCube extends EventEmitter {
     /**
      * Create a ViewCube
      * @param {Object} options - Configuration options
      * @param {HTMLElement} options.container - Container element for the cube
      * @param {number} [options.size=120] - Size of the cube overlay in pixels
-     * @param {string} [options.position='top-right'] - Position: 'top-right', 'top-left', 'bottom-right', 'bottom-left'
-     * @param {string} [options.coordinateSystem='Z-up'] - 'Y-up' or 'Z-up'
+     * @param {string|Object|HTMLElement} [options.position='top-right'] - 'top-right', 'top-left', 'bottom-right',
+     *   'bottom-left', CSS insets { top, right, bottom, left } (numbers are pixels), or an element to place the cube in
+     * @param {number|Object} [options.offset=10] - Distance from the corner in pixels, or { x, y }
+     * @param {string|boolean} [options.containerPosition='auto'] - CSS position for the container: 'auto' makes a
+     *   static container 'relative' so the overlay can be placed in it, false leaves it alone
+     * @param {Object|boolean} [options.responsive=false] - Scale the cube with the container: { scale, minSize, maxSize },
+     *   where the size is `scale` times the container's shorter side
+     * @param {Object|boolean} [options.draggable=false] - Show a handle to drag the cube to another corner
+     * @param {string|null} [options.draggable.storageKey=null] - localStorage key remembering the corner, null
+     *   to not remember it; give each cube on a page its own key
+     * @param {string|Object} [options.coordinateSystem='Z-up'] - 'Y-up', 'Z-up', axis description
+     *   `{ up, front, right?, handedness? }` or basis matrix (see getAxes)
      * @param {number} [options.cubeSize=30] - Size of the 3D cube
      * @param {number} [options.edgeSize=5] - Size of edge/corner regions
-     * @param {Object} [options.colors] - Color configuration
-     * @param {number} [options.colors.main=0xDDDDDD] - Main face color
+     * @param {string} [options.cubeStyle='flat'] - 'flat', or 'chamfered'/'rounded' for a shaded, bevelled cube
+     * @param {THREE.Object3D|Object} [options.customMesh] - Model shown instead of the cube, in world coordinates,
+     *   or { object, regions } where regions maps object names to face IDs (see Custom Meshes in the README)
+     * @param {string|Object} [options.theme='light'] - 'light', 'dark', 'highContrast', 'auto'
+     *   (follows prefers-color-scheme) or theme colors, see setTheme()
+     * @param {Object} [options.colors] - Color overrides on top of the theme
+     * @param {number} [options.colors.main=0xDDDDDD] - Face, edge and corner color
      * @param {number} [options.colors.hover=0x87CEEB] - Hover highlight color
      * @param {number} [options.colors.outline=0x666666] - Outline color
-     * @param {Object} [options.labels] - Custom face labels
+     * @param {number} [options.colors.active=0xA5D6A7] - Highlight color of the current view's face
+     * @param {Object} [options.labels] - Custom face labels: strings or { text, image, font, fontSize, color }
      * @param {Object} [options.font] - Font configuration
      * @param {number} [options.cameraDistance=100] - Distance for camera configurations
+     * @param {THREE.Box3|THREE.Sphere|THREE.Object3D|Array} [options.bounds] - Model to frame when
+     *   navigating, see setBounds()
+     * @param {number} [options.fitPadding=0.1] - Space around the bounds, as a fraction of their radius
+     * @param {Object|boolean} [options.orbit] - Drag-to-orbit for attached cameras, false to disable
+     * @param {string} [options.orbit.mode='turntable'] - 'turntable' or 'trackball'
+     * @param {number} [options.orbit.speed=0.005] - Radians per dragged pixel
+     * @param {boolean} [options.orbit.invertX=false] - Invert horizontal rotation
+     * @param {boolean} [options.orbit.invertY=false] - Invert vertical rotation
+     * @param {boolean} [options.orbit.inertia=true] - Keep rotating after release
+     * @param {number} [options.orbit.damping=0.1] - Fraction of inertia lost per frame
+     * @param {number} [options.dragThreshold=4] - Pixels a pointer must move before a press becomes a drag
+     * @param {number} [options.longPressDelay=500] - Milliseconds before a touch/pen press opens the context actions
+     * @param {Object|boolean} [options.contextMenu=false] - Show a menu of view actions on right-click/long-press
+     * @param {Array} [options.contextMenu.items] - Built-in action IDs, custom items (see addMenuItem()) and '-' separators
+     * @param {string} [options.contextMenu.className] - Extra class for the menu element
+     * @param {boolean} [options.homeButton=false] - Show a home button in the overlay
+     * @param {boolean} [options.projectionButton=false] - Show a perspective/orthographic toggle in the overlay
+     * @param {boolean} [options.showArrows=true] - Show 90° step arrows and roll buttons on main faces
+     * @param {boolean} [options.tooltip=false] - Show the readable name of the hovered view next to it
+     * @param {number|Object} [options.opacity=1] - Overlay opacity: { inactive, hover, drag }, or a number for inactive
+     * @param {number} [options.fadeDuration=200] - Milliseconds to fade between opacities
+     * @param {number} [options.autoHide=0] - Fade out after this many seconds without camera movement, 0 to never hide
+     * @param {Object|boolean} [options.compass=false] - Show a N/E/S/W compass ring under the cube
+     * @param {number} [options.compass.north=0] - Azimuth of north in degrees, clockwise from BACK seen from above
+     * @param {Object|boolean} [options.axisColors=false] - Tint main faces by world axis: { x, y, z } colors
+     * @param {Object|boolean} [options.axisTriad=false] - Show an XYZ axis triad at a cube corner
+     * @param {number} [options.axisTriad.corner] - Corner face ID (defaults to the corner at the negative axis ends)
+     * @param {number} [options.axisTriad.length] - Arrow length in cube units (defaults to 1.25 × cubeSize)
+     * @param {Object} [options.axisTriad.colors] - Arrow colors: { x, y, z }
+     * @param {Object} [options.home] - Saved home view: { position, target, up }
+     * @param {boolean} [options.hostRenderer=false] - Don't create an own WebGLRenderer; draw with renderInto()
+     * @param {THREE.WebGLRenderer|Object} [options.renderer] - Renderer to draw the cube with instead of a new
+     *   WebGLRenderer, e.g. a mock under Node; it is disposed with the cube
+     * @param {Function} [options.createCanvas] - `(width, height) => canvas` for label textures
+     * @param {Document} [options.document] - Document to create the overlay in (defaults to the container's)
+     * @param {ViewCubeResources} [options.resources] - Geometry/texture cache shared with other cubes
+     * @param {boolean} [options.keyboard=true] - Make the overlay focusable and navigable with the keyboard
+     * @param {Object} [options.strings] - Localized text: face words (TOP, FRONT, ...), cube,
+     *   instructions, currentView ('{name}' is replaced by the view name), button names (home, projection,
+     *   move, rotateUp, rotateRight, rotateDown, rotateLeft, rollCounterclockwise, rollClockwise) and menu
+     *   item labels (menuHome, menuSetHome, menuPerspective, menuOrthographic, menuFit, menuResetOrientation, menuLock)
+     * @param {number|string} [options.pixelRatio='auto'] - Canvas pixel ratio, 'auto' follows devicePixelRatio
+     * @param {number|string} [options.labelResolution='auto'] - Label texture size in pixels, 'auto'
+     *   matches the on-screen size of the faces
      */
     constructor(options = {}) {
+        super();
+
         this._options = {
             container: options.container,
             size: options.size || 120,
             position: options.position || 'top-right',
+            offset: toOffset(options.offset ?? 10),
+            containerPosition: options.containerPosition ?? 'auto',
+            responsive: options.responsive ? { ...DEFAULT_RESPONSIVE, ...options.responsive } : null,
+            draggable: options.draggable ? {
+                storageKey: null,
+                ...options.draggable
+            } : null,
             coordinateSystem: options.coordinateSystem || 'Z-up',
             cubeSize: options.cubeSize || 30,
             edgeSize: options.edgeSize || 5,
+            cubeStyle: options.cubeStyle || 'flat',
+            customMesh: options.customMesh?.isObject3D
+                ? { object: options.customMesh, regions: {} }
+                : options.customMesh || null,
+            theme: options.theme || 'light',
             colors: options.colors || {},
             labels: options.labels || {},
             font: options.font || {},
             cameraDistance: options.cameraDistance || 100,
+            bounds: options.bounds || null,
+            fitPadding: options.fitPadding ?? 0.1,
             showOutline: options.showOutline !== false,
             showEdges: options.showEdges !== false,
-            showCorners: options.showCorners !== false
+            showCorners: options.showCorners !== false,
+            orbit: options.orbit === false ? false : { ...options.orbit },
+            dragThreshold: options.dragThreshold ?? 4,
+            longPressDelay: options.longPressDelay ?? 500,
+            contextMenu: options.contextMenu === true ? {} : options.contextMenu || null,
+            homeButton: options.homeButton === true,
+            projectionButton: options.projectionButton === true,
+            showArrows: options.showArrows !== false,
+            tooltip: options.tooltip === true,
+            opacity: typeof options.opacity === 'number'
+                ? { inactive: options.opacity, hover: 1, drag: 1 }
+                : { inactive: 1, hover: 1, drag: 1, ...options.opacity },
+            fadeDuration: options.fadeDuration ?? 200,
+            autoHide: options.autoHide || 0,
+            compass: options.compass === true ? {} : options.compass || null,
+            axisColors: options.axisColors === true ? {} : options.axisColors || null,
+            axisTriad: options.axisTriad === true ? {} : options.axisTriad || null,
+            hostRenderer: options.hostRenderer === true,
+            renderer: options.renderer || null,
+            createCanvas: options.createCanvas || null,
+            document: options.document || null,
+            keyboard: options.keyboard !== false,
+            strings: { ...DEFAULT_STRINGS, ...options.strings },
+            pixelRatio: options.pixelRatio || 'auto',
+            labelResolution: options.labelResolution || 'auto',
+            resources: options.resources || null
         };
 
-        this._eventListeners = {};
         this._isDragging = false;
-        this._previousMousePosition = { x: 0, y: 0 };
+        this._pointer = null;
+        this._controller = null;
+        this._currentFace = null;
+        this._lastCamera = null;
+        this._viewportKey = null;
+        this._hoverFace = null;
+        this._focusFace = null;
+        this._focusAzimuth = 0;
+        this._lastQuaternion = new THREE.Quaternion();
+        this._lastPosition = new THREE.Vector3();
+        this._visible = true;
+        this._opacity = 1;
+        this._lastFadeTime = null;
+        this._lastActivity = now();
+        this._pointerInside = false;
+        this._hasFocus = false;
+        this._needsRender = true;
+        this._colorScheme = null;
+        this._colorSchemeListener = null;
+        this._pixelRatioQuery = null;
+        this._onPixelRatioChange = this._onPixelRatioChange.bind(this);
+        this._viewportSize = null;
+        this._hostAnisotropy = null;
+        this._menu = null;
+        this._menuItems = [];
+        this._menuFace = null;
+        this._locked = false;
+        this._controlsRotate = null;
+        this._resizeObserver = null;
+        this._moveDrag = null;
+        this._moveCancelsClick = false;
+        this._home = options.home ? toHome(
+            options.home.position,
+            options.home.target || { x: 0, y: 0, z: 0 },
+            options.home.up || getUpVector(this._options.coordinateSystem)
+        ) : null;
 
         this._init();
     }
 
     _init() {
-        const { container, size, position } = this._options;
+        const { container, draggable, responsive } = this._options;
 
         // Create container div if not provided
         if (!container) {
             throw new Error('ViewCube: container element is required');
         }
+        if (draggable) {
+            this._options.position = loadCorner(draggable.storageKey) || this._options.position;
+        }
+        if (responsive) {
+            this._options.size = this._getResponsiveSize();
+        }
+        const { size } = this._options;
+        this._document = this._options.document || container.ownerDocument || globalThis.document;
+        const document = this._document;
 
         // Create canvas container
         this._containerDiv = document.createElement('div');
@@ -78,16 +320,49 @@ export class ViewCube {
       height: ${size}px;
       pointer-events: auto;
       z-index: 1000;
-      ${this._getPositionStyle(position)}
     `;
-        container.style.position = 'relative';
-        container.appendChild(this._containerDiv);
+        this._setContainerPosition();
+        this._applyPosition();
+
+        if (this._options.keyboard) {
+            this._setupAccessibility();
+        }
+
+        // Create renderer, or a transparent hit area when drawing with the host's renderer
+        if (this._options.hostRenderer) {
+            this._renderer = null;
+            this._surface = document.createElement('div');
+            this._surface.style.cssText = 'width: 100%; height: 100%;';
+        } else {
+            this._renderer = this._options.renderer || new THREE.WebGLRenderer({ alpha: true, antialias: true });
+            this._renderer.setPixelRatio(this._getPixelRatio());
+            this._renderer.setSize(size, size);
+            this._renderer.setClearColor(0x000000, 0);
+            this._surface = this._renderer.domElement;
+        }
+        this._containerDiv.appendChild(this._surface);
 
-        // Create renderer
-        this._renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
-        this._renderer.setSize(size, size);
-        this._renderer.setClearColor(0x000000, 0);
-        this._containerDiv.appendChild(this._renderer.domElement);
+        // Create overlay buttons
+        if (this._options.homeButton) {
+            this._homeButton = this._createButton(this._options.strings.home, HOME_ICON, 'top: 0; left: 0;');
+            this._homeButton.addEventListener('click', () => this.goHome());
+        }
+        if (this._options.projectionButton) {
+            this._projectionButton = this._createButton(this._options.strings.projection, PERSPECTIVE_ICON, 'bottom: 0; left: 0;');
+            this._projectionButton.addEventListener('click', () => this.toggleProjection());
+        }
+        if (this._options.showArrows) {
+            this._createArrowButtons();
+        }
+        if (this._options.contextMenu) {
+            this._createMenu(this._options.contextMenu);
+        }
+        if (draggable) {
+            this._createMoveButton();
+        }
+        if (this._options.tooltip) {
+            this._createTooltip();
+        }
 
         // Create scene and camera
         this._scene = new THREE.Scene();
@@ -95,19 +370,42 @@ export class ViewCube {
         this._camera.position.set(0, 0, 70);
         this._camera.lookAt(0, 0, 0);
 
+        // Light from the upper left for the shaded styles; unlit materials ignore it
+        this._scene.add(new THREE.AmbientLight(0xFFFFFF, 0.65 * LIGHT_SCALE));
+        const light = new THREE.DirectionalLight(0xFFFFFF, 0.45 * LIGHT_SCALE);
+        light.position.set(-1, 2, 3);
+        this._scene.add(light);
+
         // Create cube mesh
+        this._watchColorScheme(this._options.theme === 'auto');
+        const colors = resolveColors(this._options.colors, this._getThemeColors(this._options.theme));
         this._cube = new ViewCubeMesh({
             size: this._options.cubeSize,
             edgeSize: this._options.edgeSize,
+            style: this._options.cubeStyle,
+            mesh: this._options.customMesh?.object,
+            regions: this._options.customMesh?.regions,
             coordinateSystem: this._options.coordinateSystem,
-            colors: this._options.colors,
+            colors,
             labels: this._options.labels,
             font: this._options.font,
             showOutline: this._options.showOutline,
             showEdges: this._options.showEdges,
-            showCorners: this._options.showCorners
+            showCorners: this._options.showCorners,
+            compass: this._options.compass,
+            labelResolution: this._getLabelResolution(),
+            anisotropy: this._renderer && this._renderer.capabilities ? this._renderer.capabilities.getMaxAnisotropy() : 1,
+            createCanvas: this._options.createCanvas || ((width, height) => createCanvas(width, height, document)),
+            axisColors: this._options.axisColors,
+            axisTriad: this._options.axisTriad,
+            resources: this._options.resources
         });
         this._scene.add(this._cube);
+        this._applyColors(colors);
+
+        // Label images load asynchronously
+        this._cube.addEventListener('change', () => this.invalidate());
+        this._watchPixelRatio(this._options.pixelRatio === 'auto');
 
         // Get face configurations
         this._faceConfigs = getFaceConfigs(
@@ -117,37 +415,607 @@ export class ViewCube {
 
         // Setup event listeners
         this._setupEventListeners();
+        this._watchContainerSize(Boolean(responsive));
+
+        this._opacity = this._getTargetOpacity(now());
+        this._applyOpacity();
+    }
+
+    _setContainerPosition() {
+        // Only a positioned container can hold the absolutely placed overlay
+        const { container, containerPosition } = this._options;
+        if (containerPosition === 'auto') {
+            const view = container.ownerDocument && container.ownerDocument.defaultView;
+            const current = view ? view.getComputedStyle(container).position : container.style.position;
+            if (!current || current === 'static') {
+                container.style.position = 'relative';
+            }
+        } else if (containerPosition) {
+            container.style.position = containerPosition;
+        }
+    }
+
+    _applyPosition() {
+        const { container, position, offset } = this._options;
+        const div = this._containerDiv;
+        const style = div.style;
+
+        // Inside a custom element the overlay flows like any other child
+        const parent = isElement(position) ? position : container;
+        if (div.parentNode !== parent) {
+            parent.appendChild(div);
+        }
+        style.position = isElement(position) ? 'relative' : 'absolute';
+
+        const insets = getInsets(position, offset);
+        for (const side of ['top', 'right', 'bottom', 'left']) {
+            style[side] = insets[side] ?? 'auto';
+        }
+        this._viewportKey = null;
+    }
+
+    _getResponsiveSize() {
+        const { container, responsive } = this._options;
+        const size = Math.min(container.clientWidth, container.clientHeight) * responsive.scale;
+        return Math.round(THREE.MathUtils.clamp(size, responsive.minSize, responsive.maxSize));
+    }
+
+    _watchContainerSize(enabled) {
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
+        }
+        if (!enabled || typeof ResizeObserver === 'undefined') return;
+
+        this._resizeObserver = new ResizeObserver(() => {
+            const size = this._getResponsiveSize();
+            if (size !== this._options.size) {
+                this._resize(size);
+            }
+        });
+        this._resizeObserver.observe(this._options.container);
+    }
+
+    _createTooltip() {
+        this._tooltip = this._document.createElement('div');
+        this._tooltip.className = 'viewcube-tooltip';
+        this._tooltip.setAttribute('role', 'tooltip');
+        this._tooltip.style.cssText = `
+      position: absolute;
+      display: none;
+      padding: 2px 6px;
+      border-radius: 4px;
+      background: var(--viewcube-button-background, rgba(255, 255, 255, 0.8));
+      color: var(--viewcube-button-color, #444);
+      font: 12px/1.4 system-ui, sans-serif;
+      white-space: nowrap;
+      pointer-events: none;
+      z-index: 1;
+    `;
+        this._containerDiv.appendChild(this._tooltip);
     }
 
-    _getPositionStyle(position) {
-        const margin = '10px';
-        switch (position) {
-            case 'top-left':
-                return `top: ${margin}; left: ${margin};`;
-            case 'bottom-right':
-                return `bottom: ${margin}; right: ${margin};`;
-            case 'bottom-left':
-                return `bottom: ${margin}; left: ${margin};`;
-            case 'top-right':
-            default:
-                return `top: ${margin}; right: ${margin};`;
+    _updateTooltip() {
+        const tooltip = this._tooltip;
+        const faceId = this._hoverFace;
+        const center = faceId !== null ? this._cube.getRegionCenter(faceId) : null;
+        if (!center) {
+            tooltip.style.display = 'none';
+            return;
+        }
+
+        // Anchor above the region's center, extending towards the middle of the cube
+        center.project(this._camera);
+        const rect = this._surface.getBoundingClientRect();
+        const x = (center.x + 1) / 2 * rect.width;
+        const y = (1 - center.y) / 2 * rect.height;
+
+        tooltip.textContent = this.getFaceLabel(faceId);
+        tooltip.style.left = `${x}px`;
+        tooltip.style.top = `${y}px`;
+        tooltip.style.transform = `translate(${x > rect.width / 2 ? '-100%' : '0'}, calc(-100% - 6px))`;
+        tooltip.style.display = 'block';
+    }
+
+    _createMoveButton() {
+        const button = this._createButton(this._options.strings.move, MOVE_ICON, 'bottom: 0; right: 0; cursor: move;');
+        button.style.touchAction = 'none';
+
+        // Dragging snaps to the nearest corner; a click (or Enter) moves on clockwise
+        button.addEventListener('pointerdown', event => {
+            if (event.pointerType === 'mouse' && event.button !== 0) return;
+            button.setPointerCapture(event.pointerId);
+            this._moveDrag = { id: event.pointerId, startX: event.clientX, startY: event.clientY, moved: false };
+        });
+        button.addEventListener('pointermove', event => {
+            const drag = this._moveDrag;
+            if (!drag || drag.id !== event.pointerId) return;
+
+            const deltaX = event.clientX - drag.startX;
+            const deltaY = event.clientY - drag.startY;
+            if (!drag.moved && Math.hypot(deltaX, deltaY) < this._options.dragThreshold) return;
+            drag.moved = true;
+            this._containerDiv.style.transform = `translate(${deltaX}px, ${deltaY}px)`;
+        });
+        const endDrag = event => {
+            const drag = this._moveDrag;
+            if (!drag || drag.id !== event.pointerId) return;
+
+            this._moveDrag = null;
+            this._moveCancelsClick = drag.moved;
+            if (!drag.moved) return;
+
+            const corner = this._getNearestCorner();
+            this._containerDiv.style.transform = '';
+            this._moveToCorner(corner);
+        };
+        button.addEventListener('pointerup', endDrag);
+        button.addEventListener('pointercancel', endDrag);
+        button.addEventListener('click', () => {
+            if (this._moveCancelsClick) {
+                this._moveCancelsClick = false;
+                return;
+            }
+            const index = CORNERS.indexOf(this._options.position);
+            this._moveToCorner(CORNERS[(index + 1) % CORNERS.length]);
+        });
+        this._moveButton = button;
+    }
+
+    _getNearestCorner() {
+        const rect = this._containerDiv.getBoundingClientRect();
+        const parentRect = this._options.container.getBoundingClientRect();
+        const vertical = rect.top + rect.height / 2 < parentRect.top + parentRect.height / 2 ? 'top' : 'bottom';
+        const horizontal = rect.left + rect.width / 2 < parentRect.left + parentRect.width / 2 ? 'left' : 'right';
+        return `${vertical}-${horizontal}`;
+    }
+
+    _moveToCorner(corner) {
+        if (corner === this._options.position) return;
+
+        this.setPosition(corner);
+        saveCorner(this._options.draggable.storageKey, corner);
+        this._emit('positionChange', corner);
+    }
+
+    _createButton(title, icon, style) {
+        const button = this._document.createElement('button');
+        button.type = 'button';
+        button.title = title;
+        button.setAttribute('aria-label', title);
+        button.innerHTML = icon;
+        button.style.cssText = `
+      position: absolute;
+      width: 22px;
+      height: 22px;
+      padding: 3px;
+      border: none;
+      border-radius: 4px;
+      background: var(--viewcube-button-background, rgba(255, 255, 255, 0.8));
+      color: var(--viewcube-button-color, #444);
+      cursor: pointer;
+      line-height: 0;
+      ${style}
+    `;
+        this._containerDiv.appendChild(button);
+        return button;
+    }
+
+    _createArrowButtons() {
+        const arrow = 'background: transparent; display: none;';
+        const centered = 'calc(50% - 11px)';
+        const { strings } = this._options;
+        const buttons = [
+            ['up', strings.rotateUp, ARROW_ICON, `top: 0; left: ${centered};`, 0],
+            ['right', strings.rotateRight, ARROW_ICON, `right: 0; top: ${centered};`, 90],
+            ['down', strings.rotateDown, ARROW_ICON, `bottom: 0; left: ${centered};`, 180],
+            ['left', strings.rotateLeft, ARROW_ICON, `left: 0; top: ${centered};`, 270],
+            ['counterclockwise', strings.rollCounterclockwise, ROLL_ICON, 'top: 0; right: 22px;', 0],
+            ['clockwise', strings.rollClockwise, ROLL_ICON, 'top: 0; right: 0;', 0]
+        ];
+
+        this._arrowButtons = {};
+        for (const [direction, title, icon, position, angle] of buttons) {
+            const mirror = direction === 'clockwise' ? ' scaleX(-1)' : '';
+            const button = this._createButton(title, icon, `${arrow} ${position} transform: rotate(${angle}deg)${mirror};`);
+            button.addEventListener('click', () => this._onArrowClick(direction));
+            this._arrowButtons[direction] = button;
+        }
+    }
+
+    _createMenu({ items = DEFAULT_MENU_ITEMS, className }) {
+        this._menu = new ViewCubeMenu(this._document, {
+            className,
+            onSelect: item => this._onMenuSelect(item),
+            onClose: restoreFocus => {
+                if (restoreFocus && this._options.keyboard) {
+                    this._containerDiv.focus();
+                }
+            }
+        });
+        for (const item of items) {
+            this.addMenuItem(item);
+        }
+    }
+
+    /**
+     * Add an item to the context menu
+     * @param {string|Object} item - Built-in action ID ('home', 'setHome', 'perspective', 'orthographic',
+     *   'fit', 'resetOrientation', 'lock'), '-' for a separator, or a custom item:
+     *   { id, label, checked?, disabled?, onSelect? }; `checked` and `disabled` may be functions of the
+     *   face ID the menu was opened on, and items with `checked` show a check mark
+     * @param {number} [index] - Position in the menu (defaults to the end)
+     */
+    addMenuItem(item, index = this._menuItems.length) {
+        if (typeof item === 'string') {
+            if (item !== '-' && !MENU_STRINGS[item]) {
+                throw new Error(`ViewCube: unknown menu item "${item}"`);
+            }
+        } else if (!item || item.id === undefined || !item.label) {
+            throw new Error('ViewCube: menu items need an id and a label');
+        }
+        this._menuItems.splice(index, 0, item);
+    }
+
+    /**
+     * Remove an item from the context menu
+     * @param {string} id - Built-in action ID or custom item ID
+     */
+    removeMenuItem(id) {
+        this._menuItems = this._menuItems.filter(item => (typeof item === 'string' ? item : item.id) !== id);
+    }
+
+    /**
+     * Close the context menu if it is open
+     */
+    closeMenu() {
+        if (this._menu) {
+            this._menu.close();
+        }
+    }
+
+    _showContextMenu(faceId, x, y) {
+        this._emit('contextMenu', faceId, { x, y });
+        if (!this._menu) return;
+
+        this._menuFace = faceId;
+        this._menu.open(this._getMenuItems(faceId), x, y, this._getMenuAlign());
+    }
+
+    _getMenuAlign() {
+        // Open away from the corner the cube sits in
+        const { position } = this._options;
+        if (typeof position === 'string') {
+            return { left: position.includes('right'), up: position.includes('bottom') };
+        }
+
+        // Elsewhere, open towards the middle of the window
+        const rect = this._containerDiv.getBoundingClientRect();
+        const view = this._containerDiv.ownerDocument && this._containerDiv.ownerDocument.defaultView;
+        if (!view) return {};
+        return {
+            left: rect.left + rect.width / 2 > view.innerWidth / 2,
+            up: rect.top + rect.height / 2 > view.innerHeight / 2
+        };
+    }
+
+    _getMenuItems(faceId) {
+        const resolve = value => (typeof value === 'function' ? value(faceId) : value);
+        const items = this._menuItems.map(item => {
+            if (item === '-') return item;
+            if (typeof item === 'string') return this._getBuiltInMenuItem(item);
+            return {
+                id: item.id,
+                label: item.label,
+                role: item.checked !== undefined ? 'menuitemcheckbox' : 'menuitem',
+                checked: resolve(item.checked),
+                disabled: resolve(item.disabled),
+                onSelect: item.onSelect
+            };
+        });
+
+        // No separators at the ends or next to each other, e.g. after removing items
+        return items.filter((item, i) => item !== '-' ||
+            (i > 0 && i < items.length - 1 && items[i - 1] !== '-'));
+    }
+
+    _getBuiltInMenuItem(id) {
+        const hasCamera = Boolean(this._controller || this._lastCamera);
+        const item = { id, label: this._options.strings[MENU_STRINGS[id]], role: 'menuitem' };
+        switch (id) {
+            case 'perspective':
+            case 'orthographic':
+                item.role = 'menuitemradio';
+                item.checked = this.getProjection() === id;
+                break;
+            case 'lock':
+                item.role = 'menuitemcheckbox';
+                item.checked = this._locked;
+                break;
+            case 'setHome':
+            case 'resetOrientation':
+                item.disabled = !hasCamera;
+                break;
+        }
+        return item;
+    }
+
+    _onMenuSelect(item) {
+        const faceId = this._menuFace;
+        this._emit('menuSelect', item.id, faceId);
+
+        if (item.onSelect) {
+            item.onSelect(faceId);
+            return;
+        }
+        switch (item.id) {
+            case 'home':
+                this.goHome();
+                break;
+            case 'setHome':
+                this.setHome(this._controller ? undefined : this._lastCamera);
+                break;
+            case 'perspective':
+            case 'orthographic':
+                if (this.getProjection() !== item.id) {
+                    this.toggleProjection(item.id);
+                }
+                break;
+            case 'resetOrientation':
+                this.resetOrientation();
+                break;
+            case 'lock':
+                this.setLocked(!this._locked);
+                break;
+            case 'fit':
+                // Without bounds, framing the scene is left to menuSelect listeners
+                if (this._options.bounds) {
+                    this.fitToView();
+                }
+                break;
         }
     }
 
+    _updateArrowButtons() {
+        const visible = MAIN_FACES.includes(this._currentFace);
+        for (const button of Object.values(this._arrowButtons)) {
+            button.style.display = visible ? 'block' : 'none';
+        }
+    }
+
+    _getFaceDirection(faceId) {
+        // Direction from the target towards the camera
+        const { x, y, z } = this._faceConfigs[faceId].direction;
+        return new THREE.Vector3(-x, -y, -z);
+    }
+
+    _snapToMainFace(vector) {
+        let best = MAIN_FACES[0];
+        let bestDot = -Infinity;
+        for (const faceId of MAIN_FACES) {
+            const dot = vector.dot(this._getFaceDirection(faceId));
+            if (dot > bestDot) {
+                best = faceId;
+                bestDot = dot;
+            }
+        }
+        return best;
+    }
+
+    _onArrowClick(direction) {
+        const camera = this._lastCamera;
+        if (!camera || !MAIN_FACES.includes(this._currentFace)) return;
+
+        // Snap the current view onto the face so steps never accumulate drift
+        const offset = this._getFaceDirection(this._currentFace);
+        const up = this._getFaceDirection(this._snapToMainFace(
+            new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion)
+        ));
+        const right = new THREE.Vector3().crossVectors(up, offset);
+
+        let newOffset = offset;
+        let newUp = up;
+        switch (direction) {
+            case 'up':
+                newOffset = up;
+                newUp = offset.clone().negate();
+                break;
+            case 'down':
+                newOffset = up.clone().negate();
+                newUp = offset;
+                break;
+            case 'right':
+                newOffset = right;
+                break;
+            case 'left':
+                newOffset = right.clone().negate();
+                break;
+            case 'clockwise':
+                newUp = right.clone().negate();
+                break;
+            case 'counterclockwise':
+                newUp = right;
+                break;
+        }
+
+        const faceId = this._snapToMainFace(newOffset);
+        const config = createViewConfig(newOffset, newUp, this._options.cameraDistance);
+
+        const event = direction === 'clockwise' || direction === 'counterclockwise' ? 'roll' : 'arrowClick';
+        this._emit(event, direction, faceId, config);
+        this._animateTo(config, faceId);
+    }
+
     _setupEventListeners() {
-        const canvas = this._renderer.domElement;
+        const canvas = this._surface;
 
-        canvas.addEventListener('mousemove', this._onMouseMove.bind(this));
-        canvas.addEventListener('click', this._onClick.bind(this));
-        canvas.addEventListener('mousedown', this._onMouseDown.bind(this));
+        // Let the cube handle touch gestures instead of the browser scrolling/zooming
+        canvas.style.touchAction = 'none';
 
-        // Document-level listeners for drag continuation
-        this._onDocumentMouseMove = this._onDocumentMouseMove.bind(this);
-        this._onDocumentMouseUp = this._onDocumentMouseUp.bind(this);
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerMove = this._onPointerMove.bind(this);
+        this._onPointerUp = this._onPointerUp.bind(this);
+        this._onPointerCancel = this._onPointerCancel.bind(this);
+        this._onPointerLeave = this._onPointerLeave.bind(this);
+        this._onContextMenu = this._onContextMenu.bind(this);
+
+        canvas.addEventListener('pointerdown', this._onPointerDown);
+        canvas.addEventListener('pointermove', this._onPointerMove);
+        canvas.addEventListener('pointerup', this._onPointerUp);
+        canvas.addEventListener('pointercancel', this._onPointerCancel);
+        canvas.addEventListener('pointerleave', this._onPointerLeave);
+        canvas.addEventListener('contextmenu', this._onContextMenu);
+
+        // The whole overlay, buttons included, counts as hovered
+        this._onOverlayEnter = () => {
+            this._pointerInside = true;
+        };
+        this._onOverlayLeave = () => {
+            this._pointerInside = false;
+            this._lastActivity = now();
+        };
+        this._containerDiv.addEventListener('pointerenter', this._onOverlayEnter);
+        this._containerDiv.addEventListener('pointerleave', this._onOverlayLeave);
+
+        if (this._options.keyboard) {
+            this._onKeyDown = this._onKeyDown.bind(this);
+            this._onFocus = this._onFocus.bind(this);
+            this._onBlur = this._onBlur.bind(this);
+            this._containerDiv.addEventListener('keydown', this._onKeyDown);
+            this._containerDiv.addEventListener('focus', this._onFocus);
+            this._containerDiv.addEventListener('blur', this._onBlur);
+        }
+    }
+
+    _removeEventListeners() {
+        const canvas = this._surface;
+
+        canvas.removeEventListener('pointerdown', this._onPointerDown);
+        canvas.removeEventListener('pointermove', this._onPointerMove);
+        canvas.removeEventListener('pointerup', this._onPointerUp);
+        canvas.removeEventListener('pointercancel', this._onPointerCancel);
+        canvas.removeEventListener('pointerleave', this._onPointerLeave);
+        canvas.removeEventListener('contextmenu', this._onContextMenu);
+        this._containerDiv.removeEventListener('pointerenter', this._onOverlayEnter);
+        this._containerDiv.removeEventListener('pointerleave', this._onOverlayLeave);
+
+        if (this._options.keyboard) {
+            this._containerDiv.removeEventListener('keydown', this._onKeyDown);
+            this._containerDiv.removeEventListener('focus', this._onFocus);
+            this._containerDiv.removeEventListener('blur', this._onBlur);
+        }
+    }
+
+    _setupAccessibility() {
+        const { strings } = this._options;
+        const div = this._containerDiv;
+
+        div.tabIndex = 0;
+        div.setAttribute('role', 'application');
+        div.setAttribute('aria-roledescription', strings.cube);
+        div.setAttribute('aria-label', `${strings.cube}. ${strings.instructions}`);
+
+        this._liveRegion = this._document.createElement('div');
+        this._liveRegion.setAttribute('role', 'status');
+        this._liveRegion.setAttribute('aria-live', 'polite');
+        this._liveRegion.style.cssText = VISUALLY_HIDDEN;
+        div.appendChild(this._liveRegion);
+    }
+
+    _announce(text) {
+        if (this._liveRegion) {
+            this._liveRegion.textContent = text;
+        }
+    }
+
+    /**
+     * Get the localized readable name of a face, edge or corner, e.g. 'Top-Front-Right'
+     * @param {number} faceId - Face ID from FACES constant
+     * @returns {string} Readable name
+     */
+    getFaceLabel(faceId) {
+        return getReadableFaceName(faceId, this._options.strings);
+    }
+
+    _onFocus() {
+        this._hasFocus = true;
+
+        // Clicks focus the overlay too; only keyboard focus gets highlighted
+        const div = this._containerDiv;
+        if (div.matches && !div.matches(':focus-visible')) return;
+        this._showFocus();
+    }
+
+    _showFocus() {
+        this._containerDiv.style.outline = '2px solid Highlight';
+        this._setFocusFace(this._currentFace ?? FACES.FRONT);
+    }
+
+    _onBlur() {
+        this._hasFocus = false;
+        this._lastActivity = now();
+        this._containerDiv.style.outline = '';
+        this._focusFace = null;
+        this._setHover(null);
+    }
+
+    _onKeyDown(event) {
+        // Leave keys on the overlay buttons to the buttons
+        if (event.target !== this._containerDiv) return;
+        if (this._focusFace === null) {
+            this._showFocus();
+        }
+
+        const numpad = NUMPAD_VIEWS[event.code];
+        if (numpad) {
+            this._setFocusFace(numpad[event.ctrlKey ? 1 : 0]);
+            this._activateFace(this._focusFace);
+        } else if (event.key === 'ArrowLeft') {
+            this._moveFocus(0, -1);
+        } else if (event.key === 'ArrowRight') {
+            this._moveFocus(0, 1);
+        } else if (event.key === 'ArrowUp') {
+            this._moveFocus(1, 0);
+        } else if (event.key === 'ArrowDown') {
+            this._moveFocus(-1, 0);
+        } else if (event.key === 'Enter' || event.key === ' ') {
+            this._activateFace(this._focusFace);
+        } else if (event.key === 'ContextMenu' || (event.key === 'F10' && event.shiftKey)) {
+            const rect = this._containerDiv.getBoundingClientRect();
+            this._showContextMenu(this._focusFace, rect.left + rect.width / 2, rect.top + rect.height / 2);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    _setFocusFace(faceId) {
+        const { azimuth } = toFocusPosition(faceId);
+        if (azimuth !== null) {
+            this._focusAzimuth = azimuth;
+        }
+        this._focusFace = faceId;
+        this._setHover(faceId);
+        this._announce(this.getFaceLabel(faceId));
+    }
+
+    _moveFocus(levelStep, azimuthStep) {
+        // Views form rings from BOTTOM (-2) to TOP (+2), 45° apart around the cube
+        const { level } = toFocusPosition(this._focusFace);
+        const nextLevel = Math.max(-2, Math.min(2, level + levelStep));
+        const azimuth = (this._focusAzimuth + azimuthStep + AZIMUTH_NAMES.length) % AZIMUTH_NAMES.length;
+        this._focusAzimuth = azimuth;
+        this._setFocusFace(fromFocusPosition(nextLevel, azimuth));
+    }
+
+    _activateFace(faceId) {
+        const config = this._faceConfigs[faceId];
+        this._emit('faceClick', faceId, config);
+        this.navigateTo(faceId);
     }
 
     _getNormalizedCoords(event) {
-        const rect = this._renderer.domElement.getBoundingClientRect();
+        const rect = this._surface.getBoundingClientRect();
         return {
             x: ((event.clientX - rect.left) / rect.width) * 2 - 1,
             y: -((event.clientY - rect.top) / rect.height) * 2 + 1
@@ -160,120 +1028,848 @@ export class ViewCube {
         return raycaster.intersectObjects(this._cube.children, true);
     }
 
-    _onMouseMove(event) {
-        if (this._isDragging) return;
+    _pick(event) {
+        const intersects = this._raycast(this._getNormalizedCoords(event));
+        for (const { object } of intersects) {
+            if (object.userData.faceId !== undefined) {
+                return { faceId: object.userData.faceId, compass: null, axis: null };
+            }
+            if (object.userData.compass) {
+                return { faceId: null, compass: object.userData.compass, axis: null };
+            }
+            if (object.userData.axis) {
+                return { faceId: null, compass: null, axis: object.userData.axis };
+            }
+            // Other meshes, such as unmapped parts of a custom mesh, hide what is behind them;
+            // lines like the outline and the triad's shafts don't
+            if (object.isMesh && !object.userData.pickThrough) break;
+        }
+        return { faceId: null, compass: null, axis: null };
+    }
+
+    _pickFace(event) {
+        return this._pick(event).faceId;
+    }
 
-        const coords = this._getNormalizedCoords(event);
-        const intersects = this._raycast(coords);
+    _updateHover(event) {
+        const { faceId, compass, axis } = this._pick(event);
 
-        this._cube.clearHover();
+        this._setHover(faceId);
 
-        if (intersects.length > 0) {
-            for (const { object } of intersects) {
-                if (object.name) {
-                    this._cube.setHover(object.name);
-                    this._renderer.domElement.style.cursor = 'pointer';
-                    return;
-                }
-            }
+        let cursor = 'default';
+        if (compass === 'ring') {
+            cursor = 'grab';
+        } else if (faceId !== null || compass || axis) {
+            cursor = 'pointer';
         }
-        this._renderer.domElement.style.cursor = 'default';
+        this._surface.style.cursor = cursor;
     }
 
-    _onClick(event) {
-        if (this._isDragging) return;
+    _setHover(faceId) {
+        if (faceId === this._hoverFace) return;
 
-        const coords = this._getNormalizedCoords(event);
-        const intersects = this._raycast(coords);
+        this._hoverFace = faceId;
+        if (faceId === null) {
+            this._cube.clearHover();
+        } else {
+            this._cube.setHover(faceId);
+        }
+        if (this._tooltip) {
+            this._updateTooltip();
+        }
+        this.invalidate();
+        this._emit('hover', faceId, faceId !== null ? this._faceConfigs[faceId] : null);
+    }
 
-        if (intersects.length > 0) {
-            for (const { object } of intersects) {
-                if (object.name) {
-                    const faceId = object.name;
-                    const config = this._faceConfigs[faceId];
-                    if (config) {
-                        this._emit('faceClick', faceId, config);
-                    }
-                    return;
-                }
-            }
+    _getScreenAngle(event) {
+        // Counterclockwise angle around the overlay center
+        const rect = this._surface.getBoundingClientRect();
+        const x = event.clientX - (rect.left + rect.width / 2);
+        const y = event.clientY - (rect.top + rect.height / 2);
+        return Math.atan2(-y, x);
+    }
+
+    _onCompassDrag(event) {
+        const pointer = this._pointer;
+        const screenAngle = this._getScreenAngle(event);
+        const delta = calculateAngleDelta(pointer.lastAngle, screenAngle);
+        pointer.lastAngle = screenAngle;
+
+        // Turning the ring counterclockwise on screen turns the camera the other way
+        // around the up axis, mirrored when the cube is seen from below
+        const cubeUp = new THREE.Vector3(0, 1, 0).applyQuaternion(this._cube.quaternion);
+        const angle = cubeUp.z >= 0 ? -delta : delta;
+
+        this._emit('compassRotate', angle);
+        if (this._controller && !this._locked) {
+            this._controller.rotateAroundUp(angle);
+        }
+    }
+
+    _onCompassClick(letter) {
+        const { x, y, z } = getUpVector(this._options.coordinateSystem);
+        const up = new THREE.Vector3(x, y, z);
+        const heading = this._cube.getCompassDirection(letter);
+
+        // Keep the current elevation above the horizon
+        let elevation = Math.PI / 6;
+        if (this._lastCamera) {
+            const offset = new THREE.Vector3(0, 0, 1).applyQuaternion(this._lastCamera.quaternion);
+            elevation = Math.asin(Math.max(-1, Math.min(1, offset.dot(up))));
+        }
+
+        const offset = heading.clone().multiplyScalar(-Math.cos(elevation))
+            .addScaledVector(up, Math.sin(elevation));
+        const cameraUp = heading.clone().multiplyScalar(Math.sin(elevation))
+            .addScaledVector(up, Math.cos(elevation));
+        const config = createViewConfig(offset, cameraUp, this._options.cameraDistance);
+
+        this._emit('compassClick', letter, { x: heading.x, y: heading.y, z: heading.z }, config);
+        this._animateTo(config);
+    }
+
+    _onAxisClick(axis) {
+        // Look from the positive end of the axis, like the matching face if there is one
+        const direction = new THREE.Vector3().setComponent('xyz'.indexOf(axis), 1);
+        const faceId = this._findFace(direction, DEFAULT_FACE_TOLERANCE);
+
+        let config;
+        if (faceId !== null) {
+            config = this._faceConfigs[faceId];
+        } else {
+            const { x, y, z } = getUpVector(this._options.coordinateSystem);
+            config = createViewConfig(direction, { x, y, z }, this._options.cameraDistance);
         }
+
+        this._emit('axisClick', faceId, config, axis);
+        this._animateTo(config, faceId);
     }
 
-    _onMouseDown(event) {
-        this._isDragging = true;
-        this._previousMousePosition = {
-            x: event.clientX,
-            y: event.clientY
+    _onPointerDown(event) {
+        // Track a single pointer; right mouse button is left to the context menu
+        if (this._pointer || (event.pointerType === 'mouse' && event.button !== 0)) return;
+
+        this._surface.setPointerCapture(event.pointerId);
+        this._pointer = {
+            id: event.pointerId,
+            startX: event.clientX,
+            startY: event.clientY,
+            lastX: event.clientX,
+            lastY: event.clientY,
+            longPressTimer: null,
+            longPressed: false,
+            compass: this._pick(event).compass,
+            lastAngle: this._getScreenAngle(event)
         };
-        this._renderer.domElement.style.cursor = 'grabbing';
 
-        document.addEventListener('mousemove', this._onDocumentMouseMove);
-        document.addEventListener('mouseup', this._onDocumentMouseUp);
+        // Mice have a right button, touch and pen get the context actions on long-press
+        if (event.pointerType !== 'mouse') {
+            const { clientX, clientY } = event;
+            const faceId = this._pickFace(event);
+            this._pointer.longPressTimer = setTimeout(() => {
+                this._pointer.longPressed = true;
+                this._showContextMenu(faceId, clientX, clientY);
+            }, this._options.longPressDelay);
+        }
     }
 
-    _onDocumentMouseMove(event) {
-        if (!this._isDragging) return;
+    _onPointerMove(event) {
+        const pointer = this._pointer;
+        if (!pointer || pointer.id !== event.pointerId) {
+            if (!pointer && event.pointerType !== 'touch') {
+                this._updateHover(event);
+            }
+            return;
+        }
+
+        if (!this._isDragging) {
+            const distance = Math.hypot(event.clientX - pointer.startX, event.clientY - pointer.startY);
+            if (distance < this._options.dragThreshold || pointer.longPressed) return;
 
-        const deltaX = event.clientX - this._previousMousePosition.x;
-        const deltaY = event.clientY - this._previousMousePosition.y;
+            this._isDragging = true;
+            clearTimeout(pointer.longPressTimer);
+            this._setHover(null);
+            this._surface.style.cursor = 'grabbing';
+            if (this._canOrbit() && !pointer.compass) {
+                this._controller.startRotate();
+            }
+        }
+
+        if (pointer.compass === 'ring') {
+            this._onCompassDrag(event);
+            return;
+        }
+
+        const deltaX = event.clientX - pointer.lastX;
+        const deltaY = event.clientY - pointer.lastY;
 
         this._emit('drag', deltaX, deltaY);
+        if (this._canOrbit()) {
+            this._controller.rotate(deltaX, deltaY);
+        }
 
-        this._previousMousePosition = {
-            x: event.clientX,
-            y: event.clientY
-        };
+        pointer.lastX = event.clientX;
+        pointer.lastY = event.clientY;
     }
 
-    _onDocumentMouseUp() {
-        this._isDragging = false;
-        this._renderer.domElement.style.cursor = 'default';
+    _canOrbit() {
+        return Boolean(this._controller && this._options.orbit && !this._locked);
+    }
+
+    _onPointerUp(event) {
+        const pointer = this._pointer;
+        if (!pointer || pointer.id !== event.pointerId) return;
+
+        const isTap = !this._isDragging && !pointer.longPressed;
+        this._endPointer();
+
+        if (isTap) {
+            this._onTap(event);
+        }
+        if (event.pointerType !== 'touch') {
+            this._updateHover(event);
+        }
+    }
+
+    _onPointerCancel(event) {
+        if (this._pointer && this._pointer.id === event.pointerId) {
+            this._endPointer();
+        }
+    }
+
+    _onPointerLeave() {
+        if (!this._pointer) {
+            this._setHover(this._focusFace);
+        }
+    }
+
+    _endPointer() {
+        const pointer = this._pointer;
+        const canvas = this._surface;
+
+        clearTimeout(pointer.longPressTimer);
+        if (canvas.hasPointerCapture(pointer.id)) {
+            canvas.releasePointerCapture(pointer.id);
+        }
+        this._pointer = null;
+
+        if (this._isDragging) {
+            this._isDragging = false;
+            canvas.style.cursor = 'default';
+            if (this._controller && this._options.orbit && !pointer.compass) {
+                this._controller.endRotate();
+            }
+        }
+    }
+
+    _onTap(event) {
+        const { faceId, compass, axis } = this._pick(event);
+        if (compass && compass !== 'ring') {
+            this._onCompassClick(compass);
+            return;
+        }
+        if (axis) {
+            this._onAxisClick(axis);
+            return;
+        }
+
+        const config = faceId !== null ? this._faceConfigs[faceId] : null;
+        if (config) {
+            this._emit('faceClick', faceId, config);
+            this.navigateTo(faceId);
+        }
+    }
 
-        document.removeEventListener('mousemove', this._onDocumentMouseMove);
-        document.removeEventListener('mouseup', this._onDocumentMouseUp);
+    _onContextMenu(event) {
+        event.preventDefault();
+
+        // Touch and pen raise the context actions through long-press instead
+        if (this._pointer) return;
+
+        this._showContextMenu(this._pickFace(event), event.clientX, event.clientY);
     }
 
     /**
      * Update the ViewCube orientation from camera
-     * Call this in your animation loop
-     * @param {THREE.Camera} camera - The main scene camera
+     * Call this in your animation loop. The cube is only redrawn when something changed.
+     * @param {THREE.Camera} [camera] - The main scene camera (defaults to the attached camera)
      */
     update(camera) {
+        if (this._controller) {
+            this._controller.update();
+            camera = camera || this._controller.camera;
+        }
+        const time = now();
         if (camera && camera.quaternion) {
-            this._cube.setQuaternion(camera.quaternion);
+            this._lastCamera = camera;
+            if (!this._lastPosition.equals(camera.position)) {
+                this._lastPosition.copy(camera.position);
+                this._lastActivity = time;
+            }
+            if (!this._lastQuaternion.equals(camera.quaternion)) {
+                this._lastQuaternion.copy(camera.quaternion);
+                this._lastActivity = time;
+                this._cube.setQuaternion(camera.quaternion);
+                if (this._tooltip && this._hoverFace !== null) {
+                    this._updateTooltip();
+                }
+                this.invalidate();
+            }
+            this._updateCurrentFace(camera);
+            if (this._projectionButton) {
+                this._updateProjectionButton();
+            }
+        }
+        this._updateOpacity(time);
+        if (this._renderer && this._needsRender) {
+            this._renderer.render(this._scene, this._camera);
+            this._needsRender = false;
+        }
+    }
+
+    /**
+     * Whether the cube has to be drawn again: it changed since the last render,
+     * or the attached camera is still moving
+     * @type {boolean}
+     */
+    get needsRender() {
+        return this._needsRender || Boolean(this._controller && this._controller.isAnimating) ||
+            this._opacity !== this._getTargetOpacity(now());
+    }
+
+    /**
+     * Show or hide the cube, fading in the update loop
+     * @param {boolean} visible - Whether the cube is shown
+     */
+    setVisible(visible) {
+        this._visible = visible;
+        this._lastActivity = now();
+    }
+
+    /**
+     * Whether the cube is shown (it may still be fading, or hidden by autoHide)
+     * @returns {boolean}
+     */
+    isVisible() {
+        return this._visible;
+    }
+
+    _getTargetOpacity(time) {
+        const { opacity, autoHide } = this._options;
+        if (!this._visible) return 0;
+        if (this._isDragging || this._moveDrag) return opacity.drag;
+        if (this._pointerInside || this._hasFocus || (this._menu && this._menu.isOpen)) return opacity.hover;
+        if (autoHide > 0 && time - this._lastActivity >= autoHide * 1000) return 0;
+        return opacity.inactive;
+    }
+
+    _updateOpacity(time) {
+        const target = this._getTargetOpacity(time);
+        const elapsed = this._lastFadeTime === null ? 0 : time - this._lastFadeTime;
+        this._lastFadeTime = time;
+        if (target === this._opacity) return;
+
+        // Fade at a constant rate: a full fade from 0 to 1 takes fadeDuration
+        const { fadeDuration } = this._options;
+        const step = fadeDuration > 0 ? elapsed / fadeDuration : Infinity;
+        this._opacity = this._opacity < target
+            ? Math.min(target, this._opacity + step)
+            : Math.max(target, this._opacity - step);
+        this._applyOpacity();
+    }
+
+    _applyOpacity() {
+        // Own canvases fade with the overlay; cubes drawn by the host fade their materials
+        const style = this._containerDiv.style;
+        style.opacity = this._opacity < 1 ? String(this._opacity) : '';
+        style.visibility = !this._visible && this._opacity === 0 ? 'hidden' : '';
+        if (!this._renderer) {
+            this._cube.setOpacity(this._opacity);
+            this.invalidate();
         }
-        this._renderer.render(this._scene, this._camera);
     }
 
     /**
-     * Add event listener
-     * @param {string} event - Event name: 'faceClick', 'drag'
-     * @param {Function} callback - Event handler
+     * Mark the cube for redrawing on the next update()
+     */
+    invalidate() {
+        this._needsRender = true;
+    }
+
+    /**
+     * Draw the cube into a corner of the host's renderer instead of an own canvas
+     * Works with WebGLRenderer and WebGPURenderer. Call after rendering the main scene
+     * and after update(); the renderer's viewport, scissor and autoClear are restored.
+     * @param {THREE.WebGLRenderer|Object} renderer - The host renderer
+     * @param {Object} [viewport] - { x, y, width, height } in CSS pixels from the top-left of
+     *   the renderer's canvas (defaults to the area under the overlay)
      */
-    on(event, callback) {
-        if (!this._eventListeners[event]) {
-            this._eventListeners[event] = [];
+    renderInto(renderer, viewport) {
+        const canvas = renderer.domElement;
+        if (viewport) {
+            this._placeOverlay(canvas, viewport);
+        } else {
+            viewport = this._getOverlayViewport(canvas);
+        }
+        if (viewport.width <= 0 || viewport.height <= 0) return;
+
+        if (this._viewportSize !== Math.round(viewport.height)) {
+            this._viewportSize = Math.round(viewport.height);
+            this._updateLabelResolution();
+        }
+        if (!this._hostAnisotropy && renderer.capabilities && renderer.capabilities.getMaxAnisotropy) {
+            this._hostAnisotropy = renderer.capabilities.getMaxAnisotropy();
+            this._cube.setAnisotropy(this._hostAnisotropy);
         }
-        this._eventListeners[event].push(callback);
-        return this;
+
+        const aspect = viewport.width / viewport.height;
+        if (this._camera.aspect !== aspect) {
+            this._camera.aspect = aspect;
+            this._camera.updateProjectionMatrix();
+        }
+
+        const size = renderer.getSize(new THREE.Vector2());
+        const previousViewport = renderer.getViewport(new THREE.Vector4());
+        const previousScissor = renderer.getScissor(new THREE.Vector4());
+        const previousScissorTest = renderer.getScissorTest();
+        const previousAutoClear = renderer.autoClear;
+
+        // Renderer viewports start at the bottom-left corner
+        const y = size.y - viewport.y - viewport.height;
+        renderer.setViewport(viewport.x, y, viewport.width, viewport.height);
+        renderer.setScissor(viewport.x, y, viewport.width, viewport.height);
+        renderer.setScissorTest(true);
+        renderer.autoClear = false;
+        renderer.clearDepth();
+        renderer.render(this._scene, this._camera);
+        this._needsRender = false;
+
+        renderer.setViewport(previousViewport);
+        renderer.setScissor(previousScissor);
+        renderer.setScissorTest(previousScissorTest);
+        renderer.autoClear = previousAutoClear;
+    }
+
+    _getOverlayViewport(canvas) {
+        const canvasRect = canvas.getBoundingClientRect();
+        const rect = this._containerDiv.getBoundingClientRect();
+        return {
+            x: rect.left - canvasRect.left,
+            y: rect.top - canvasRect.top,
+            width: rect.width,
+            height: rect.height
+        };
+    }
+
+    _placeOverlay(canvas, viewport) {
+        // Keep the overlay (hit area and buttons) over the viewport the cube is drawn in
+        const key = `${viewport.x},${viewport.y},${viewport.width},${viewport.height}`;
+        if (key === this._viewportKey) return;
+        this._viewportKey = key;
+
+        const { container } = this._options;
+        const canvasRect = canvas.getBoundingClientRect();
+        const containerRect = container.getBoundingClientRect();
+        const left = canvasRect.left - containerRect.left - container.clientLeft + container.scrollLeft + viewport.x;
+        const top = canvasRect.top - containerRect.top - container.clientTop + container.scrollTop + viewport.y;
+
+        const style = this._containerDiv.style;
+        style.left = `${left}px`;
+        style.top = `${top}px`;
+        style.right = 'auto';
+        style.bottom = 'auto';
+        style.width = `${viewport.width}px`;
+        style.height = `${viewport.height}px`;
     }
 
     /**
-     * Remove event listener
-     * @param {string} event - Event name
-     * @param {Function} callback - Event handler to remove
+     * Find the standard view the camera is currently looking from
+     * @param {THREE.Camera} [camera] - Camera to test (defaults to the attached or last updated camera)
+     * @param {number} [tolerance=2] - Maximum angle in degrees between the camera and the view direction
+     * @returns {number|null} Face ID from FACES, or null for a free view
      */
-    off(event, callback) {
-        if (this._eventListeners[event]) {
-            this._eventListeners[event] = this._eventListeners[event].filter(cb => cb !== callback);
+    getCurrentFace(camera, tolerance = DEFAULT_FACE_TOLERANCE) {
+        camera = camera || this._controller?.camera || this._lastCamera;
+        if (!camera) return null;
+
+        // Direction from the target towards the camera
+        const direction = new THREE.Vector3(0, 0, 1).applyQuaternion(camera.quaternion);
+        return this._findFace(direction, tolerance);
+    }
+
+    _findFace(direction, tolerance) {
+        let found = null;
+        let bestDot = Math.cos(tolerance * Math.PI / 180);
+        for (const faceId of Object.keys(this._faceConfigs).map(Number)) {
+            const dot = direction.dot(this._getFaceDirection(faceId));
+            if (dot >= bestDot) {
+                found = faceId;
+                bestDot = dot;
+            }
+        }
+        return found;
+    }
+
+    _updateCurrentFace(camera) {
+        const faceId = this.getCurrentFace(camera);
+        if (faceId === this._currentFace) return;
+
+        this._currentFace = faceId;
+        this._cube.setActive(faceId);
+        this.invalidate();
+        if (this._arrowButtons) {
+            this._updateArrowButtons();
+        }
+        this._emit('viewChange', faceId, faceId !== null ? this._faceConfigs[faceId] : null);
+        if (faceId !== null) {
+            this._announce(this._options.strings.currentView.replace('{name}', this.getFaceLabel(faceId)));
         }
-        return this;
     }
 
-    _emit(event, ...args) {
-        if (this._eventListeners[event]) {
-            this._eventListeners[event].forEach(cb => cb(...args));
+    /**
+     * Get the projection of the attached (or last updated) camera
+     * @returns {string} 'perspective' or 'orthographic'
+     */
+    getProjection() {
+        const camera = this._controller?.camera || this._lastCamera;
+        return camera && camera.isOrthographicCamera ? 'orthographic' : 'perspective';
+    }
+
+    /**
+     * Switch between perspective and orthographic projection
+     * With an attached camera the controller creates the replacement camera; otherwise
+     * only `projectionChange` is emitted for the host to switch its own camera.
+     * @param {string} [projection] - 'perspective' or 'orthographic' (defaults to the other one)
+     */
+    toggleProjection(projection) {
+        projection = projection || (this.getProjection() === 'perspective' ? 'orthographic' : 'perspective');
+        if (this._controller) {
+            this._controller.setProjection(projection);
+        } else {
+            this._emit('projectionChange', projection, null, null);
+        }
+        if (this._projectionButton) {
+            this._updateProjectionButton();
+        }
+    }
+
+    _updateProjectionButton() {
+        const projection = this.getProjection();
+        if (this._projectionButton.dataset.projection === projection) return;
+
+        this._projectionButton.dataset.projection = projection;
+        this._projectionButton.innerHTML = projection === 'orthographic' ? ORTHOGRAPHIC_ICON : PERSPECTIVE_ICON;
+    }
+
+    /**
+     * Let the ViewCube animate a camera when faces are clicked and orbit it while
+     * the cube is dragged
+     * @param {THREE.Camera} camera - The main scene camera
+     * @param {Object} [controls] - OrbitControls or Potree view (viewer.scene.view)
+     * @param {Object} [options] - Controller options
+     * @param {number} [options.duration=500] - Transition duration in milliseconds
+     * @returns {ViewCubeController} The controller driving the camera
+     */
+    attachCamera(camera, controls = null, options = {}) {
+        this.detachCamera();
+
+        this._controller = new ViewCubeController(camera, controls, {
+            coordinateSystem: this._options.coordinateSystem,
+            orbit: this._options.orbit || undefined,
+            ...options
+        });
+        this._controller.on('transitionStart', (...args) => this._emit('transitionStart', ...args));
+        this._controller.on('transitionEnd', (...args) => this._emit('transitionEnd', ...args));
+        this._controller.on('projectionChange', (...args) => this._emit('projectionChange', ...args));
+        if (this._locked) {
+            this._lockControls(true);
+        }
+        return this._controller;
+    }
+
+    _animateTo(config, faceId = null) {
+        if (!this._controller) return;
+
+        const sphere = this._getBoundsSphere();
+        if (sphere) {
+            this._controller.fitTo(sphere, { config, faceId, padding: this._options.fitPadding });
+        } else {
+            this._controller.animateTo(config, faceId);
+        }
+    }
+
+    _getBoundsSphere(bounds = this._options.bounds) {
+        // Measured on every use, as models move and point clouds keep loading
+        if (!bounds) return null;
+        const sphere = getBoundingSphere(bounds);
+        return sphere.isEmpty() ? null : sphere;
+    }
+
+    /**
+     * Frame a model when navigating: views orbit the center of its bounds at the
+     * distance (or orthographic zoom) where it fills the view, instead of keeping
+     * the camera's distance to the current target
+     * @param {THREE.Box3|THREE.Sphere|THREE.Object3D|Array|null} bounds - Box, sphere, object
+     *   or Potree point cloud, an array of them, or null to stop framing
+     */
+    setBounds(bounds) {
+        this._options.bounds = bounds || null;
+    }
+
+    /**
+     * Get the bounds framed when navigating
+     * @returns {THREE.Box3|THREE.Sphere|THREE.Object3D|Array|null} The bounds given to setBounds()
+     */
+    getBounds() {
+        return this._options.bounds;
+    }
+
+    /**
+     * Frame bounds from the current view direction
+     * @param {THREE.Box3|THREE.Sphere|THREE.Object3D|Array} [bounds] - Bounds to frame
+     *   (defaults to the bounds from setBounds())
+     */
+    fitToView(bounds = this._options.bounds) {
+        if (!bounds) {
+            throw new Error('ViewCube: fitToView needs bounds when none are set');
+        }
+        const sphere = this._getBoundsSphere(bounds);
+        if (!sphere) return;
+
+        this._emit('fit', sphere);
+        if (this._controller) {
+            this._controller.fitTo(sphere, { padding: this._options.fitPadding });
+        }
+    }
+
+    /**
+     * Animate the attached camera to a face, edge or corner view without emitting faceClick
+     * @param {number} faceId - Face ID from FACES constant
+     */
+    navigateTo(faceId) {
+        const config = this._faceConfigs[faceId];
+        if (!config) {
+            throw new Error(`ViewCube: unknown face ID ${faceId}`);
+        }
+        this._animateTo(config, faceId);
+    }
+
+    /**
+     * Stop animating the attached camera
+     */
+    detachCamera() {
+        if (this._controller) {
+            this._lockControls(false);
+            this._controller.dispose();
+            this._controller = null;
+        }
+    }
+
+    /**
+     * Cancel the running camera transition, leaving the camera where it is
+     */
+    cancelTransition() {
+        if (this._controller) {
+            this._controller.cancel();
+        }
+    }
+
+    /**
+     * Save a camera view as the home view
+     * @param {THREE.Camera} [camera] - Camera to save (defaults to the attached camera)
+     * @param {THREE.Vector3} [target] - Orbit target (defaults to the attached controls' target)
+     * @returns {Object} Serializable home view: { position, target, up }
+     */
+    setHome(camera, target) {
+        camera = camera || this._controller?.camera;
+        if (!camera) {
+            throw new Error('ViewCube: setHome needs a camera when none is attached');
+        }
+        if (!target) {
+            target = this._controller ? this._controller.getTarget() : new THREE.Vector3();
+        }
+
+        this._home = toHome(camera.position, target, camera.up);
+        return this.getHome();
+    }
+
+    /**
+     * Get the home view
+     * @returns {Object} Serializable home view: { position, target, up }
+     */
+    getHome() {
+        const home = this._home || this._getDefaultHome();
+        return {
+            position: { ...home.position },
+            target: { ...home.target },
+            up: { ...home.up }
+        };
+    }
+
+    /**
+     * Return to the home view, animating the attached camera
+     */
+    goHome() {
+        const home = this.getHome();
+
+        if (this._controller) {
+            const position = new THREE.Vector3(home.position.x, home.position.y, home.position.z);
+            const target = new THREE.Vector3(home.target.x, home.target.y, home.target.z);
+            const up = new THREE.Vector3(home.up.x, home.up.y, home.up.z);
+            const quaternion = new THREE.Quaternion().setFromRotationMatrix(
+                new THREE.Matrix4().lookAt(position, target, up)
+            );
+            this._controller.animateToPose({ target, quaternion, distance: position.distanceTo(target) });
+        }
+
+        this._emit('home', home);
+    }
+
+    /**
+     * Level the camera: remove roll while keeping the view direction
+     * Views straight along the up axis turn upright into the top or bottom view.
+     * Animates the attached camera; `orientationReset` carries the view for hosts without one.
+     */
+    resetOrientation() {
+        const camera = this._controller?.camera || this._lastCamera;
+        if (!camera) return;
+
+        const { x, y, z } = getUpVector(this._options.coordinateSystem);
+        const up = new THREE.Vector3(x, y, z);
+        // Direction from the target towards the camera
+        const direction = new THREE.Vector3(0, 0, 1).applyQuaternion(camera.quaternion);
+        const elevation = direction.dot(up);
+
+        let faceId;
+        let config;
+        if (Math.abs(elevation) > 0.9999) {
+            faceId = elevation > 0 ? FACES.TOP : FACES.BOTTOM;
+            config = this._faceConfigs[faceId];
+        } else {
+            faceId = this._findFace(direction, DEFAULT_FACE_TOLERANCE);
+            config = createViewConfig(direction, up, this._options.cameraDistance);
+        }
+
+        this._emit('orientationReset', faceId, config);
+        this._animateTo(config, faceId);
+    }
+
+    /**
+     * Lock the view to a face: snap to the nearest main face unless the camera is on a
+     * standard view, and stop orbiting from the cube, its compass and OrbitControls
+     * (`enableRotate`) until unlocked. Clicking views still navigates.
+     * @param {boolean} locked - Whether to lock
+     */
+    setLocked(locked) {
+        if (locked === this._locked) return;
+        this._locked = locked;
+
+        let faceId = null;
+        if (locked) {
+            const camera = this._controller?.camera || this._lastCamera;
+            faceId = this._currentFace;
+            if (faceId === null && camera) {
+                faceId = this._snapToMainFace(new THREE.Vector3(0, 0, 1).applyQuaternion(camera.quaternion));
+                this.navigateTo(faceId);
+            }
+        }
+        this._lockControls(locked);
+        this._emit('lockChange', locked, faceId);
+    }
+
+    /**
+     * Whether the view is locked to a face
+     * @returns {boolean}
+     */
+    isLocked() {
+        return this._locked;
+    }
+
+    _lockControls(locked) {
+        const controls = this._controller?.controls;
+        if (!controls || typeof controls.enableRotate !== 'boolean') return;
+
+        if (locked) {
+            this._controlsRotate = controls.enableRotate;
+            controls.enableRotate = false;
+        } else if (this._controlsRotate !== null) {
+            controls.enableRotate = this._controlsRotate;
+            this._controlsRotate = null;
+        }
+    }
+
+    _getDefaultHome() {
+        // Isometric view from the top-front-right corner
+        const config = this._faceConfigs[FACES.TOP_FRONT_RIGHT_CORNER];
+        return toHome(config.position, { x: 0, y: 0, z: 0 }, config.up);
+    }
+
+    /**
+     * Change the colors at runtime
+     * A preset name replaces all colors; an object changes only the colors it contains.
+     * @param {string|Object} theme - 'light', 'dark', 'highContrast', 'auto' (follows
+     *   prefers-color-scheme) or colors: { face, edge, corner, hover, active, outline, label,
+     *   compass, compassLabel, buttonBackground, buttonColor }
+     */
+    setTheme(theme) {
+        const colors = this._getThemeColors(theme);
+        this._watchColorScheme(theme === 'auto');
+        this._applyColors(colors);
+    }
+
+    /**
+     * Replace face labels at runtime, e.g. after a language change
+     * Labels are fitted to the face; long text wraps and `\n` starts a new line.
+     * @param {Object} labels - Labels by face: { top, bottom, front, back, left, right }; each a
+     *   string or { text, image, font, fontSize, color } where image is an element or (SVG) URL
+     */
+    setLabels(labels) {
+        this._cube.setLabels(labels);
+        this.invalidate();
+    }
+
+    /**
+     * Get the current theme
+     * @returns {Object} Theme colors
+     */
+    getTheme() {
+        return this._cube.getColors();
+    }
+
+    _getThemeColors(theme) {
+        if (theme === 'auto') {
+            theme = this._colorScheme && this._colorScheme.matches ? 'dark' : 'light';
+        }
+        if (typeof theme === 'string') {
+            if (!THEMES[theme]) {
+                throw new Error(`ViewCube: unknown theme "${theme}"`);
+            }
+            return THEMES[theme];
+        }
+        return resolveColors(theme, this._cube ? this._cube.getColors() : THEMES.light);
+    }
+
+    _applyColors(colors) {
+        this._cube.setColors(colors);
+        const { buttonBackground, buttonColor } = this._cube.getColors();
+        this._containerDiv.style.setProperty('--viewcube-button-background', buttonBackground);
+        this._containerDiv.style.setProperty('--viewcube-button-color', buttonColor);
+        if (this._menu) {
+            this._menu.setColors({ background: buttonBackground, color: buttonColor });
+        }
+        this.invalidate();
+    }
+
+    _watchColorScheme(enabled) {
+        if (enabled && !this._colorSchemeListener) {
+            if (typeof window === 'undefined' || !window.matchMedia) return;
+            this._colorScheme = window.matchMedia('(prefers-color-scheme: dark)');
+            this._colorSchemeListener = () => this._applyColors(this._getThemeColors('auto'));
+            this._colorScheme.addEventListener('change', this._colorSchemeListener);
+        } else if (!enabled && this._colorSchemeListener) {
+            this._colorScheme.removeEventListener('change', this._colorSchemeListener);
+            this._colorScheme = null;
+            this._colorSchemeListener = null;
         }
     }
 
@@ -295,50 +1891,145 @@ export class ViewCube {
     }
 
     /**
-     * Set cube size
+     * Set cube size, turning off responsive sizing
      * @param {number} size - New size in pixels
      */
     setSize(size) {
+        this._options.responsive = null;
+        this._watchContainerSize(false);
+        this._resize(size);
+    }
+
+    _resize(size) {
         this._options.size = size;
         this._containerDiv.style.width = `${size}px`;
         this._containerDiv.style.height = `${size}px`;
-        this._renderer.setSize(size, size);
+        this._viewportKey = null;
+        if (this._renderer) {
+            this._renderer.setSize(size, size);
+        }
+        this._updateLabelResolution();
+        this.invalidate();
+    }
+
+    /**
+     * Set the pixel ratio of the cube's canvas and labels
+     * @param {number|string} pixelRatio - A fixed ratio, or 'auto' to follow devicePixelRatio,
+     *   including when the window moves to another monitor
+     */
+    setPixelRatio(pixelRatio) {
+        this._options.pixelRatio = pixelRatio;
+        this._watchPixelRatio(pixelRatio === 'auto');
+        this._updatePixelRatio();
+    }
+
+    _getPixelRatio() {
+        const { pixelRatio } = this._options;
+        if (typeof pixelRatio === 'number') return pixelRatio;
+        return (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    }
+
+    _updatePixelRatio() {
+        if (this._renderer) {
+            this._renderer.setPixelRatio(this._getPixelRatio());
+            this._renderer.setSize(this._options.size, this._options.size);
+        }
+        this._updateLabelResolution();
+        this.invalidate();
+    }
+
+    _watchPixelRatio(enabled) {
+        if (this._pixelRatioQuery) {
+            this._pixelRatioQuery.removeEventListener('change', this._onPixelRatioChange);
+            this._pixelRatioQuery = null;
+        }
+        if (!enabled || typeof window === 'undefined' || !window.matchMedia) return;
+
+        // Matches only the current ratio, so it changes once the ratio does
+        this._pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+        this._pixelRatioQuery.addEventListener('change', this._onPixelRatioChange);
+    }
+
+    _onPixelRatioChange() {
+        this._watchPixelRatio(true);
+        this._updatePixelRatio();
+    }
+
+    /**
+     * Set the label texture size
+     * @param {number|string} resolution - Size in pixels, or 'auto' to match the on-screen face size
+     */
+    setLabelResolution(resolution) {
+        this._options.labelResolution = resolution;
+        this._updateLabelResolution();
+    }
+
+    _getLabelResolution() {
+        const { labelResolution, cubeSize, edgeSize, size } = this._options;
+        if (typeof labelResolution === 'number') return labelResolution;
+
+        // On-screen face size, with headroom for faces seen up close through the perspective camera
+        const visibleHeight = 2 * this._camera.position.length() * Math.tan(this._camera.fov * Math.PI / 360);
+        const facePixels = (cubeSize - 2 * edgeSize) / visibleHeight * (this._viewportSize || size);
+        const resolution = THREE.MathUtils.ceilPowerOfTwo(Math.ceil(facePixels * this._getPixelRatio() * 1.5));
+        return THREE.MathUtils.clamp(resolution, MIN_LABEL_RESOLUTION, MAX_LABEL_RESOLUTION);
+    }
+
+    _updateLabelResolution() {
+        const resolution = this._getLabelResolution();
+        if (resolution !== this._cube.getLabelResolution()) {
+            this._cube.setLabelResolution(resolution);
+            this.invalidate();
+        }
     }
 
     /**
      * Set position
-     * @param {string} position - 'top-right', 'top-left', 'bottom-right', 'bottom-left'
+     * Only the placement changes; other inline styles on the overlay are kept.
+     * @param {string|Object|HTMLElement} position - 'top-right', 'top-left', 'bottom-right', 'bottom-left',
+     *   CSS insets { top, right, bottom, left }, or an element to place the cube in
+     * @param {number|Object} [offset] - Distance from the corner in pixels, or { x, y }
      */
-    setPosition(position) {
+    setPosition(position, offset) {
         this._options.position = position;
-        const style = this._getPositionStyle(position);
-        this._containerDiv.style.cssText = `
-      position: absolute;
-      width: ${this._options.size}px;
-      height: ${this._options.size}px;
-      pointer-events: auto;
-      z-index: 1000;
-      ${style}
-    `;
+        if (offset !== undefined) {
+            this._options.offset = toOffset(offset);
+        }
+        this._applyPosition();
+        this.invalidate();
+    }
+
+    /**
+     * Get the position
+     * @returns {string|Object|HTMLElement} Corner name, CSS insets or element
+     */
+    getPosition() {
+        return this._options.position;
     }
 
     /**
      * Dispose of the ViewCube and clean up resources
      */
     dispose() {
+        this.detachCamera();
+        this._watchColorScheme(false);
+        this._watchPixelRatio(false);
+        this._watchContainerSize(false);
+
         // Remove event listeners
-        document.removeEventListener('mousemove', this._onDocumentMouseMove);
-        document.removeEventListener('mouseup', this._onDocumentMouseUp);
+        if (this._pointer) {
+            this._endPointer();
+        }
+        this._removeEventListeners();
+        if (this._menu) {
+            this._menu.dispose();
+        }
 
         // Dispose Three.js resources
-        this._renderer.dispose();
-        this._scene.traverse((object) => {
-            if (object.geometry) object.geometry.dispose();
-            if (object.material) {
-                if (object.material.map) object.material.map.dispose();
-                object.material.dispose();
-            }
-        });
+        if (this._renderer) {
+            this._renderer.dispose();
+        }
+        this._cube.dispose();
 
         // Remove DOM elements
         if (this._containerDiv && this._containerDiv.parentNode) {
@@ -347,5 +2038,83 @@ export class ViewCube {
     }
 }
 
+function toFocusPosition(faceId) {
+    // Ring level and azimuth index of a view; poles have no azimuth
+    const words = getFaceName(faceId).split('_').filter(word => word !== 'EDGE' && word !== 'CORNER');
+    const vertical = words[0] === 'TOP' ? 1 : words[0] === 'BOTTOM' ? -1 : 0;
+    const horizontal = (vertical ? words.slice(1) : words).join('_');
+    if (!horizontal) {
+        return { level: vertical * 2, azimuth: null };
+    }
+    return { level: vertical, azimuth: AZIMUTH_NAMES.indexOf(horizontal) };
+}
+
+function fromFocusPosition(level, azimuth) {
+    if (Math.abs(level) === 2) {
+        return level > 0 ? FACES.TOP : FACES.BOTTOM;
+    }
+    const horizontal = AZIMUTH_NAMES[azimuth];
+    const diagonal = azimuth % 2 === 1;
+    if (level === 0) {
+        return FACES[diagonal ? `${horizontal}_EDGE` : horizontal];
+    }
+    const vertical = level > 0 ? 'TOP' : 'BOTTOM';
+    return FACES[`${vertical}_${horizontal}_${diagonal ? 'CORNER' : 'EDGE'}`];
+}
+
+function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+function toOffset(offset) {
+    return typeof offset === 'number' ? { x: offset, y: offset } : { x: offset.x ?? 10, y: offset.y ?? 10 };
+}
+
+function isElement(value) {
+    return Boolean(value && typeof value === 'object' && value.nodeType === 1);
+}
+
+function getInsets(position, offset) {
+    if (isElement(position)) return {};
+    if (typeof position === 'object') {
+        const insets = {};
+        for (const [side, value] of Object.entries(position)) {
+            insets[side] = typeof value === 'number' ? `${value}px` : value;
+        }
+        return insets;
+    }
+
+    const [vertical, horizontal] = CORNERS.includes(position) ? position.split('-') : ['top', 'right'];
+    return { [vertical]: `${offset.y}px`, [horizontal]: `${offset.x}px` };
+}
+
+function loadCorner(storageKey) {
+    // Storage may be missing or blocked, e.g. in private windows
+    if (!storageKey) return null;
+    try {
+        const corner = localStorage.getItem(storageKey);
+        return CORNERS.includes(corner) ? corner : null;
+    } catch {
+        return null;
+    }
+}
+
+function saveCorner(storageKey, corner) {
+    if (!storageKey) return;
+    try {
+        localStorage.setItem(storageKey, corner);
+    } catch {
+        // Keep the corner for this session only
+    }
+}
+
+function toHome(position, target, up) {
+    return {
+        position: { x: position.x, y: position.y, z: position.z },
+        target: { x: target.x, y: target.y, z: target.z },
+        up: { x: up.x, y: up.y, z: up.z }
+    };
+}
+
 // Export constants
 export { FACES, getFaceConfigs } from './faces.js';
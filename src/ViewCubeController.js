@@ -0,0 +1,458 @@
+import * as THREE from 'three';
+import { EventEmitter } from './EventEmitter.js';
+import { getUpVector } from './faces.js';
+import { easeInOutCubic } from './utils.js';
+
+// Keep turntable orbits this far (in radians) away from the poles
+const POLE_EPSILON = 1e-4;
+
+// Pointer pauses longer than this (in milliseconds) before release cancel inertia
+const INERTIA_TIMEOUT = 50;
+
+/**
+ * ViewCubeController - Drives a host camera (and its controls) to face configurations
+ *
+ * Supports three.js OrbitControls-style controls (anything exposing a `target`
+ * vector and `update()`) as well as Potree's view (`viewer.scene.view`, which
+ * exposes `getPivot()`, `position` and `lookAt()`). Without controls the camera
+ * orbits the world origin. Perspective and orthographic cameras keep their
+ * distance and zoom across transitions.
+ *
+ * @example
+ * const controller = new ViewCubeController(camera, controls, { duration: 500 });
+ * controller.animateTo(viewCube.getFaceConfig(FACES.TOP), FACES.TOP);
+ *
+ * // In animation loop
+ * controller.update();
+ */
+export class ViewCubeController extends EventEmitter {
+    /**
+     * Create a ViewCubeController
+     * @param {THREE.Camera} camera - The camera to drive
+     * @param {Object} [controls] - OrbitControls or Potree view
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.duration=500] - Transition duration in milliseconds
+     * @param {string|Object} [options.coordinateSystem='Z-up'] - Coordinate system (see getAxes), defines the turntable axis
+     * @param {Object} [options.orbit] - Drag-to-orbit configuration
+     * @param {string} [options.orbit.mode='turntable'] - 'turntable' or 'trackball'
+     * @param {number} [options.orbit.speed=0.005] - Radians per dragged pixel
+     * @param {boolean} [options.orbit.invertX=false] - Invert horizontal rotation
+     * @param {boolean} [options.orbit.invertY=false] - Invert vertical rotation
+     * @param {boolean} [options.orbit.inertia=true] - Keep rotating after release
+     * @param {number} [options.orbit.damping=0.1] - Fraction of inertia lost per frame
+     */
+    constructor(camera, controls = null, options = {}) {
+        super();
+
+        this.camera = camera;
+        this.controls = controls;
+
+        this._options = {
+            duration: options.duration ?? 500,
+            coordinateSystem: options.coordinateSystem || 'Z-up',
+            orbit: {
+                mode: options.orbit?.mode ?? 'turntable',
+                speed: options.orbit?.speed ?? 0.005,
+                invertX: options.orbit?.invertX ?? false,
+                invertY: options.orbit?.invertY ?? false,
+                inertia: options.orbit?.inertia ?? true,
+                damping: options.orbit?.damping ?? 0.1
+            }
+        };
+
+        this._transition = null;
+        this._fov = camera.isPerspectiveCamera ? camera.fov : null;
+        this._isRotating = false;
+        this._orbitVelocity = { x: 0, y: 0 };
+        this._lastRotateTime = 0;
+
+        // Stop transitions and inertia as soon as the user grabs the controls
+        this._onControlsStart = () => {
+            this.cancel();
+            this._orbitVelocity = { x: 0, y: 0 };
+        };
+        if (controls && typeof controls.addEventListener === 'function') {
+            controls.addEventListener('start', this._onControlsStart);
+        }
+    }
+
+    /**
+     * Whether a transition or orbit inertia is currently running
+     * @returns {boolean}
+     */
+    get isAnimating() {
+        return this._transition !== null || this._hasInertia();
+    }
+
+    /**
+     * Get the point the camera orbits around
+     * @param {THREE.Vector3} [target] - Vector to write the result into
+     * @returns {THREE.Vector3} Current orbit target
+     */
+    getTarget(target = new THREE.Vector3()) {
+        const controls = this.controls;
+        if (controls) {
+            if (controls.target && controls.target.isVector3) {
+                return target.copy(controls.target);
+            }
+            if (typeof controls.getPivot === 'function') {
+                return target.copy(controls.getPivot());
+            }
+        }
+        return target.set(0, 0, 0);
+    }
+
+    /**
+     * Animate the camera to a face configuration around the current orbit target,
+     * keeping the current distance to the target
+     * @param {Object} config - Face configuration from getFaceConfigs
+     * @param {number} [faceId] - Face ID the configuration belongs to
+     */
+    animateTo(config, faceId = null) {
+        const offset = config.offset || config.position;
+        const target = this.getTarget();
+        const distance = this.camera.position.distanceTo(target) ||
+            new THREE.Vector3(offset.x, offset.y, offset.z).length();
+
+        this.animateToPose({ target, quaternion: toQuaternion(config), distance }, faceId, config);
+    }
+
+    /**
+     * Animate the camera so a bounding sphere fills the view
+     * Perspective cameras move to the distance where the sphere fits the narrower
+     * field of view; orthographic cameras change their zoom instead.
+     * @param {THREE.Sphere} sphere - Bounds to frame, see getBoundingSphere
+     * @param {Object} [options] - Fit options
+     * @param {Object} [options.config] - Face configuration to look from (defaults to the current direction)
+     * @param {number} [options.faceId] - Face ID reported with transition events
+     * @param {number} [options.padding=0.1] - Space around the bounds, as a fraction of their radius
+     */
+    fitTo(sphere, { config = null, faceId = null, padding = 0.1 } = {}) {
+        const camera = this.camera;
+        const radius = Math.max(sphere.radius, Number.EPSILON) * (1 + padding);
+        const quaternion = config ? toQuaternion(config) : camera.quaternion.clone();
+        const pose = { target: sphere.center.clone(), quaternion };
+
+        if (camera.isOrthographicCamera) {
+            // Keep the camera outside the bounds, where a perspective camera would frame them
+            const size = Math.min(camera.top - camera.bottom, camera.right - camera.left);
+            pose.zoom = size / (2 * radius);
+            pose.distance = radius / Math.sin((this._fov ?? 50) * Math.PI / 360);
+        } else {
+            const tanVertical = Math.tan(camera.fov * Math.PI / 360) / camera.zoom;
+            const tanHorizontal = tanVertical * camera.aspect;
+            pose.distance = radius / Math.sin(Math.atan(Math.min(tanVertical, tanHorizontal)));
+        }
+
+        this.animateToPose(pose, faceId, config);
+    }
+
+    /**
+     * Animate the camera to an explicit pose
+     * @param {Object} pose - Destination pose
+     * @param {THREE.Vector3} pose.target - Orbit target
+     * @param {THREE.Quaternion} pose.quaternion - Camera orientation
+     * @param {number} pose.distance - Distance from the target
+     * @param {number} [pose.zoom] - Camera zoom to end with (defaults to the current zoom)
+     * @param {number} [faceId] - Face ID reported with transition events
+     * @param {Object} [config] - Face configuration reported with transition events
+     */
+    animateToPose(pose, faceId = null, config = null) {
+        this.cancel();
+        this._orbitVelocity = { x: 0, y: 0 };
+
+        const camera = this.camera;
+        const startTarget = this.getTarget();
+        const startQuaternion = camera.quaternion.clone();
+        const startDistance = camera.position.distanceTo(startTarget);
+
+        // Offset between the actual camera position and where it would sit if it
+        // looked straight at the target. It is blended out during the transition.
+        const correction = camera.position.clone()
+            .sub(this._getPosition(startTarget, startQuaternion, startDistance));
+
+        this._transition = {
+            faceId,
+            config,
+            startTime: null,
+            duration: this._options.duration,
+            startTarget,
+            endTarget: pose.target.clone(),
+            startQuaternion,
+            endQuaternion: pose.quaternion.clone(),
+            startDistance,
+            endDistance: pose.distance,
+            startZoom: camera.zoom,
+            endZoom: pose.zoom ?? camera.zoom,
+            correction
+        };
+
+        this._emit('transitionStart', faceId, config);
+
+        if (this._transition.duration <= 0) {
+            this._step(1);
+        }
+    }
+
+    /**
+     * Stop the running transition, leaving the camera where it is
+     */
+    cancel() {
+        if (!this._transition) return;
+
+        const { faceId, config } = this._transition;
+        this._transition = null;
+        this._emit('transitionEnd', faceId, config, true);
+    }
+
+    /**
+     * Start a drag-to-orbit gesture, stopping transitions and inertia
+     */
+    startRotate() {
+        this.cancel();
+        this._isRotating = true;
+        this._orbitVelocity = { x: 0, y: 0 };
+    }
+
+    /**
+     * Orbit the camera around its target by a dragged pixel delta
+     * @param {number} deltaX - Horizontal delta in pixels
+     * @param {number} deltaY - Vertical delta in pixels
+     */
+    rotate(deltaX, deltaY) {
+        this.cancel();
+        this._orbitVelocity = { x: deltaX, y: deltaY };
+        this._lastRotateTime = performance.now();
+        this._rotateBy(deltaX, deltaY);
+    }
+
+    /**
+     * End a drag-to-orbit gesture, handing over to inertia if enabled
+     */
+    endRotate() {
+        this._isRotating = false;
+        const { inertia } = this._options.orbit;
+        if (!inertia || performance.now() - this._lastRotateTime > INERTIA_TIMEOUT) {
+            this._orbitVelocity = { x: 0, y: 0 };
+        }
+    }
+
+    _hasInertia() {
+        const { x, y } = this._orbitVelocity;
+        return !this._isRotating && (Math.abs(x) > 0.01 || Math.abs(y) > 0.01);
+    }
+
+    _rotateBy(deltaX, deltaY) {
+        const { mode, speed, invertX, invertY } = this._options.orbit;
+        const camera = this.camera;
+        const target = this.getTarget();
+        const offset = camera.position.clone().sub(target);
+
+        let angleX = -deltaX * speed * (invertX ? -1 : 1);
+        let angleY = -deltaY * speed * (invertY ? -1 : 1);
+
+        const cameraUp = new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion);
+        const cameraRight = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+        let horizontalAxis = cameraUp;
+        let verticalAxis = cameraRight;
+
+        if (mode === 'turntable') {
+            const { x, y, z } = getUpVector(this._options.coordinateSystem);
+            const worldUp = new THREE.Vector3(x, y, z);
+            horizontalAxis = worldUp;
+
+            // Right vector from the view direction, falling back to the camera at the poles
+            const right = new THREE.Vector3().crossVectors(offset.clone().negate(), worldUp);
+            if (right.lengthSq() > 1e-6) {
+                verticalAxis = right.normalize();
+            }
+
+            // Stop at the poles instead of flipping over them
+            const polar = offset.angleTo(worldUp);
+            angleY = Math.max(Math.min(0, POLE_EPSILON - polar), Math.min(angleY, Math.max(0, Math.PI - POLE_EPSILON - polar)));
+        }
+
+        const rotation = new THREE.Quaternion().setFromAxisAngle(horizontalAxis, angleX)
+            .multiply(new THREE.Quaternion().setFromAxisAngle(verticalAxis, angleY));
+
+        this._applyRotation(rotation);
+    }
+
+    /**
+     * Turn the camera around the world up axis through its target
+     * @param {number} angle - Angle in radians, counterclockwise seen from above
+     */
+    rotateAroundUp(angle) {
+        this.cancel();
+        this._orbitVelocity = { x: 0, y: 0 };
+
+        const { x, y, z } = getUpVector(this._options.coordinateSystem);
+        this._applyRotation(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(x, y, z), angle));
+    }
+
+    _applyRotation(rotation) {
+        const target = this.getTarget();
+        const offset = this.camera.position.clone().sub(target).applyQuaternion(rotation);
+        const quaternion = this.camera.quaternion.clone().premultiply(rotation);
+        this._applyPose(offset.add(target), quaternion, target);
+    }
+
+    /**
+     * Advance the running transition or orbit inertia
+     * Call this in your animation loop (ViewCube.update does this for attached cameras)
+     * @param {number} [time] - Current time in milliseconds
+     */
+    update(time = performance.now()) {
+        if (this._hasInertia()) {
+            const { damping } = this._options.orbit;
+            this._rotateBy(this._orbitVelocity.x, this._orbitVelocity.y);
+            this._orbitVelocity.x *= 1 - damping;
+            this._orbitVelocity.y *= 1 - damping;
+        }
+
+        const transition = this._transition;
+        if (!transition) return;
+
+        if (transition.startTime === null) {
+            transition.startTime = time;
+        }
+        const progress = Math.min((time - transition.startTime) / transition.duration, 1);
+        this._step(progress);
+    }
+
+    _step(progress) {
+        const transition = this._transition;
+        const eased = easeInOutCubic(progress);
+
+        const target = new THREE.Vector3().lerpVectors(transition.startTarget, transition.endTarget, eased);
+        const quaternion = new THREE.Quaternion().slerpQuaternions(
+            transition.startQuaternion,
+            transition.endQuaternion,
+            eased
+        );
+        const distance = transition.startDistance + (transition.endDistance - transition.startDistance) * eased;
+        const position = this._getPosition(target, quaternion, distance)
+            .addScaledVector(transition.correction, 1 - eased);
+
+        if (transition.endZoom !== transition.startZoom) {
+            this.camera.zoom = transition.startZoom + (transition.endZoom - transition.startZoom) * eased;
+            this.camera.updateProjectionMatrix();
+        }
+        this._applyPose(position, quaternion, target);
+
+        if (progress >= 1) {
+            const { faceId, config } = transition;
+            this._transition = null;
+            this._emit('transitionEnd', faceId, config, false);
+        }
+    }
+
+    _getPosition(target, quaternion, distance) {
+        // Cameras look down their local -Z axis
+        return new THREE.Vector3(0, 0, distance).applyQuaternion(quaternion).add(target);
+    }
+
+    _applyPose(position, quaternion, target) {
+        const camera = this.camera;
+        const controls = this.controls;
+
+        camera.position.copy(position);
+        camera.quaternion.copy(quaternion);
+        camera.up.set(0, 1, 0).applyQuaternion(quaternion);
+
+        if (controls) {
+            if (controls.target && controls.target.isVector3) {
+                controls.target.copy(target);
+                if (typeof controls.update === 'function') controls.update();
+            } else if (typeof controls.getPivot === 'function') {
+                // Potree view: camera is derived from position, yaw and pitch
+                controls.position.copy(position);
+                controls.lookAt(target);
+                controls.radius = position.distanceTo(target);
+            }
+        }
+    }
+
+    /**
+     * Get the projection of the driven camera
+     * @returns {string} 'perspective' or 'orthographic'
+     */
+    getProjection() {
+        return this.camera.isOrthographicCamera ? 'orthographic' : 'perspective';
+    }
+
+    /**
+     * Switch the camera between perspective and orthographic projection, keeping the
+     * apparent size of the scene at the orbit target. A new camera replaces the driven
+     * one (and the controls' `object`); render with the camera passed to `projectionChange`.
+     * @param {string} projection - 'perspective' or 'orthographic'
+     * @returns {THREE.Camera} The camera now driven
+     */
+    setProjection(projection) {
+        const previous = this.camera;
+        if (projection === this.getProjection()) return previous;
+
+        this.cancel();
+        this._orbitVelocity = { x: 0, y: 0 };
+
+        const target = this.getTarget();
+        const distance = previous.position.distanceTo(target);
+        let camera;
+
+        if (projection === 'orthographic') {
+            // Frustum matching the perspective view's extent at the target
+            this._fov = previous.fov;
+            const height = 2 * distance * Math.tan(previous.fov * Math.PI / 360) / previous.zoom;
+            const width = height * previous.aspect;
+            camera = new THREE.OrthographicCamera(-width / 2, width / 2, height / 2, -height / 2, previous.near, previous.far);
+            camera.position.copy(previous.position);
+        } else {
+            // Move along the view axis until the perspective view spans the same extent
+            const fov = this._fov ?? 50;
+            const height = (previous.top - previous.bottom) / previous.zoom;
+            const aspect = (previous.right - previous.left) / (previous.top - previous.bottom);
+            camera = new THREE.PerspectiveCamera(fov, aspect, previous.near, previous.far);
+            const offset = previous.position.clone().sub(target).normalize();
+            camera.position.copy(target).addScaledVector(offset, height / (2 * Math.tan(fov * Math.PI / 360)));
+        }
+
+        camera.quaternion.copy(previous.quaternion);
+        camera.up.copy(previous.up);
+        camera.updateProjectionMatrix();
+        this.camera = camera;
+
+        if (this.controls && this.controls.object === previous) {
+            this.controls.object = camera;
+            if (typeof this.controls.update === 'function') this.controls.update();
+        }
+
+        this._emit('projectionChange', projection, camera, previous);
+        return camera;
+    }
+
+    /**
+     * Detach from the controls and stop any running transition
+     */
+    dispose() {
+        this.cancel();
+        this._orbitVelocity = { x: 0, y: 0 };
+        if (this.controls && typeof this.controls.removeEventListener === 'function') {
+            this.controls.removeEventListener('start', this._onControlsStart);
+        }
+    }
+}
+
+function toQuaternion(config) {
+    if (config.quaternion) {
+        const { x, y, z, w } = config.quaternion;
+        return new THREE.Quaternion(x, y, z, w);
+    }
+
+    // Hand-made configurations without orientation data
+    const offset = config.offset || config.position;
+    const direction = new THREE.Vector3(offset.x, offset.y, offset.z).normalize();
+    const up = new THREE.Vector3(config.up.x, config.up.y, config.up.z);
+    return new THREE.Quaternion().setFromRotationMatrix(
+        new THREE.Matrix4().lookAt(direction, new THREE.Vector3(), up)
+    );
+}
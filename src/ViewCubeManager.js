@@ -0,0 +1,162 @@
+import { EventEmitter } from './EventEmitter.js';
+import { ViewCube } from './ViewCube.js';
+import { ViewCubeResources } from './ViewCubeResources.js';
+
+/**
+ * ViewCubeManager - Binds several ViewCubes to their cameras, e.g. for split-screen views
+ *
+ * Cubes created by the manager share geometries and label textures. With `linked`,
+ * clicking a face on one cube moves the cameras of all cubes to that view.
+ *
+ * @example
+ * const manager = new ViewCubeManager({ linked: true });
+ * manager.create({ container: topView, hostRenderer: true }, topCamera, topControls);
+ * manager.create({ container: perspectiveView, hostRenderer: true }, camera, controls);
+ *
+ * // In animation loop
+ * manager.update();
+ */
+export class ViewCubeManager extends EventEmitter {
+    /**
+     * Create a ViewCubeManager
+     * @param {Object} [options] - Configuration options
+     * @param {boolean} [options.linked=false] - Move all cameras when a face is clicked on one cube
+     * @param {ViewCubeResources} [options.resources] - Cache to share (defaults to a new one)
+     */
+    constructor(options = {}) {
+        super();
+
+        this._linked = options.linked === true;
+        this._resources = options.resources || new ViewCubeResources();
+        this._entries = [];
+    }
+
+    /**
+     * Geometry/texture cache shared by the cubes created here
+     * @type {ViewCubeResources}
+     */
+    get resources() {
+        return this._resources;
+    }
+
+    /**
+     * All managed cubes, in the order they were added
+     * @type {ViewCube[]}
+     */
+    get viewCubes() {
+        return this._entries.map(entry => entry.viewCube);
+    }
+
+    /**
+     * Create a ViewCube sharing this manager's resources
+     * @param {Object} options - ViewCube options
+     * @param {THREE.Camera} [camera] - Camera to bind the cube to
+     * @param {Object} [controls] - OrbitControls or Potree view
+     * @param {Object} [controllerOptions] - Options for attachCamera()
+     * @returns {ViewCube} The new cube
+     */
+    create(options, camera, controls, controllerOptions) {
+        const viewCube = new ViewCube({ ...options, resources: this._resources });
+        this.add(viewCube, camera, controls, controllerOptions);
+        return viewCube;
+    }
+
+    /**
+     * Manage an existing ViewCube
+     * Cubes not created by this manager keep their own resources.
+     * @param {ViewCube} viewCube - The cube
+     * @param {THREE.Camera} [camera] - Camera to bind the cube to
+     * @param {Object} [controls] - OrbitControls or Potree view
+     * @param {Object} [controllerOptions] - Options for attachCamera()
+     * @returns {ViewCube} The cube
+     */
+    add(viewCube, camera, controls = null, controllerOptions) {
+        if (this._find(viewCube)) {
+            throw new Error('ViewCube: this ViewCube is already managed');
+        }
+
+        if (camera) {
+            viewCube.attachCamera(camera, controls, controllerOptions);
+        }
+
+        const onFaceClick = (faceId, config) => {
+            if (this._linked) {
+                this._navigateOthers(viewCube, faceId);
+            }
+            this._emit('faceClick', faceId, config, viewCube);
+        };
+        viewCube.on('faceClick', onFaceClick);
+
+        this._entries.push({ viewCube, onFaceClick });
+        return viewCube;
+    }
+
+    /**
+     * Stop managing a ViewCube, keeping it and its camera attached
+     * @param {ViewCube} viewCube - The cube
+     */
+    remove(viewCube) {
+        const entry = this._find(viewCube);
+        if (!entry) return;
+
+        viewCube.off('faceClick', entry.onFaceClick);
+        this._entries = this._entries.filter(e => e !== entry);
+    }
+
+    /**
+     * Whether face clicks move all managed cameras
+     * @returns {boolean}
+     */
+    isLinked() {
+        return this._linked;
+    }
+
+    /**
+     * Turn linked navigation on or off
+     * @param {boolean} linked - Move all cameras when a face is clicked on one cube
+     */
+    setLinked(linked) {
+        this._linked = linked;
+    }
+
+    /**
+     * Update all cubes from their bound cameras
+     * Call this in your animation loop.
+     */
+    update() {
+        for (const { viewCube } of this._entries) {
+            viewCube.update();
+        }
+    }
+
+    /**
+     * Whether any cube has to be drawn again
+     * @type {boolean}
+     */
+    get needsRender() {
+        return this._entries.some(({ viewCube }) => viewCube.needsRender);
+    }
+
+    _find(viewCube) {
+        return this._entries.find(entry => entry.viewCube === viewCube);
+    }
+
+    _navigateOthers(source, faceId) {
+        for (const { viewCube } of this._entries) {
+            if (viewCube !== source) {
+                viewCube.navigateTo(faceId);
+            }
+        }
+    }
+
+    /**
+     * Dispose all managed cubes and the shared resources
+     */
+    dispose() {
+        for (const { viewCube } of this._entries) {
+            viewCube.dispose();
+        }
+        this._entries = [];
+        this._resources.dispose();
+    }
+}
@@ -0,0 +1,282 @@
+/**
+ * ViewCubeMenu - Popup menu for the ViewCube's context actions
+ *
+ * The menu is appended to the document body with fixed positioning, so it is never
+ * clipped by the viewer's container. Its look comes from the `viewcube-menu*` classes
+ * and can be overridden with plain CSS.
+ */
+
+const STYLE_ID = 'viewcube-menu-style';
+
+// Distance kept between the menu and the window edges
+const VIEWPORT_MARGIN = 4;
+
+const MENU_STYLE = `
+.viewcube-menu {
+  position: fixed;
+  z-index: 10000;
+  min-width: 180px;
+  margin: 0;
+  padding: 4px 0;
+  border-radius: 6px;
+  background: var(--viewcube-menu-background, rgba(255, 255, 255, 0.95));
+  color: var(--viewcube-menu-color, #222);
+  box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+  font: 13px/1.4 system-ui, sans-serif;
+  list-style: none;
+  user-select: none;
+}
+.viewcube-menu-item {
+  display: block;
+  width: 100%;
+  padding: 5px 12px 5px 28px;
+  border: none;
+  background: none;
+  color: inherit;
+  font: inherit;
+  text-align: left;
+  cursor: pointer;
+  position: relative;
+}
+.viewcube-menu-item:hover,
+.viewcube-menu-item:focus {
+  background: var(--viewcube-menu-highlight, rgba(135, 206, 235, 0.45));
+  outline: none;
+}
+.viewcube-menu-item:disabled {
+  opacity: 0.45;
+  cursor: default;
+  background: none;
+}
+.viewcube-menu-item[aria-checked="true"]::before {
+  content: "\\2713";
+  position: absolute;
+  left: 10px;
+}
+.viewcube-menu-separator {
+  height: 1px;
+  margin: 4px 0;
+  background: currentColor;
+  opacity: 0.2;
+}
+`;
+
+export class ViewCubeMenu {
+    /**
+     * Create a menu
+     * @param {Document} document - Document to show the menu in
+     * @param {Object} [options] - Menu options
+     * @param {string} [options.className] - Extra class for the menu element
+     * @param {Function} [options.onSelect] - Called with the selected item
+     * @param {Function} [options.onClose] - Called after the menu closed, with whether focus should return
+     */
+    constructor(document, options = {}) {
+        this._document = document;
+        this._options = options;
+        this._element = null;
+        this._colors = {};
+        this._keyboard = false;
+
+        this._onDocumentPointerDown = this._onDocumentPointerDown.bind(this);
+        this._onKeyDown = this._onKeyDown.bind(this);
+        this._onDismiss = () => this.close();
+
+        injectStyle(document);
+    }
+
+    /**
+     * Whether the menu is showing
+     * @type {boolean}
+     */
+    get isOpen() {
+        return this._element !== null;
+    }
+
+    /**
+     * Set the menu colors as CSS variables
+     * @param {Object} colors - { background, color, highlight } CSS colors
+     */
+    setColors(colors) {
+        this._colors = colors;
+        if (this._element) {
+            this._applyColors();
+        }
+    }
+
+    /**
+     * Show the menu at a point
+     * @param {Object[]} items - { id, label, role?, checked?, disabled? } or '-' for a separator
+     * @param {number} x - Horizontal client coordinate
+     * @param {number} y - Vertical client coordinate
+     * @param {Object} [align] - Which way to open: { left, up } booleans
+     */
+    open(items, x, y, align = {}) {
+        this.close();
+
+        const document = this._document;
+        const menu = document.createElement('div');
+        menu.className = 'viewcube-menu';
+        if (this._options.className) {
+            menu.classList.add(this._options.className);
+        }
+        menu.setAttribute('role', 'menu');
+        menu.style.visibility = 'hidden';
+
+        for (const item of items) {
+            menu.appendChild(item === '-' ? this._createSeparator() : this._createItem(item));
+        }
+
+        this._element = menu;
+        this._applyColors();
+        document.body.appendChild(menu);
+        this._place(x, y, align);
+        menu.style.visibility = '';
+
+        document.addEventListener('pointerdown', this._onDocumentPointerDown, true);
+        menu.addEventListener('keydown', this._onKeyDown);
+        const view = document.defaultView;
+        if (view) {
+            view.addEventListener('resize', this._onDismiss);
+            view.addEventListener('blur', this._onDismiss);
+            view.addEventListener('scroll', this._onDismiss, true);
+        }
+
+        this._focusItem(0);
+    }
+
+    /**
+     * Hide the menu
+     * @param {boolean} [restoreFocus=false] - Whether focus should return to the cube
+     */
+    close(restoreFocus = false) {
+        const menu = this._element;
+        if (!menu) return;
+
+        const document = this._document;
+        document.removeEventListener('pointerdown', this._onDocumentPointerDown, true);
+        menu.removeEventListener('keydown', this._onKeyDown);
+        const view = document.defaultView;
+        if (view) {
+            view.removeEventListener('resize', this._onDismiss);
+            view.removeEventListener('blur', this._onDismiss);
+            view.removeEventListener('scroll', this._onDismiss, true);
+        }
+
+        this._element = null;
+        if (menu.parentNode) {
+            menu.parentNode.removeChild(menu);
+        }
+        if (this._options.onClose) {
+            this._options.onClose(restoreFocus);
+        }
+    }
+
+    _createItem(item) {
+        const button = this._document.createElement('button');
+        button.type = 'button';
+        button.className = 'viewcube-menu-item';
+        button.textContent = item.label;
+        button.dataset.id = item.id;
+        button.disabled = Boolean(item.disabled);
+        button.setAttribute('role', item.role || 'menuitem');
+        if (item.role === 'menuitemcheckbox' || item.role === 'menuitemradio') {
+            button.setAttribute('aria-checked', String(Boolean(item.checked)));
+        }
+        button.addEventListener('click', () => {
+            const fromKeyboard = this._keyboard;
+            this.close(fromKeyboard);
+            if (this._options.onSelect) {
+                this._options.onSelect(item);
+            }
+        });
+        return button;
+    }
+
+    _createSeparator() {
+        const separator = this._document.createElement('div');
+        separator.className = 'viewcube-menu-separator';
+        separator.setAttribute('role', 'separator');
+        return separator;
+    }
+
+    _applyColors() {
+        const { background, color, highlight } = this._colors;
+        const style = this._element.style;
+        if (background) style.setProperty('--viewcube-menu-background', background);
+        if (color) style.setProperty('--viewcube-menu-color', color);
+        if (highlight) style.setProperty('--viewcube-menu-highlight', highlight);
+    }
+
+    _place(x, y, align) {
+        // Open away from the cube's corner, then keep the whole menu inside the window
+        const menu = this._element;
+        const rect = menu.getBoundingClientRect();
+        const view = this._document.defaultView;
+        const viewWidth = view ? view.innerWidth : rect.width;
+        const viewHeight = view ? view.innerHeight : rect.height;
+
+        let left = align.left ? x - rect.width : x;
+        let top = align.up ? y - rect.height : y;
+        left = Math.max(VIEWPORT_MARGIN, Math.min(left, viewWidth - rect.width - VIEWPORT_MARGIN));
+        top = Math.max(VIEWPORT_MARGIN, Math.min(top, viewHeight - rect.height - VIEWPORT_MARGIN));
+
+        menu.style.left = `${left}px`;
+        menu.style.top = `${top}px`;
+    }
+
+    _getItems() {
+        return Array.from(this._element.querySelectorAll('.viewcube-menu-item'))
+            .filter(button => !button.disabled);
+    }
+
+    _focusItem(index) {
+        const items = this._getItems();
+        if (items.length === 0) return;
+        items[(index + items.length) % items.length].focus();
+    }
+
+    _onKeyDown(event) {
+        const items = this._getItems();
+        const index = items.indexOf(this._document.activeElement);
+        this._keyboard = true;
+
+        if (event.key === 'ArrowDown') {
+            this._focusItem(index + 1);
+        } else if (event.key === 'ArrowUp') {
+            this._focusItem(index < 0 ? -1 : index - 1);
+        } else if (event.key === 'Home') {
+            this._focusItem(0);
+        } else if (event.key === 'End') {
+            this._focusItem(-1);
+        } else if (event.key === 'Escape' || event.key === 'Tab') {
+            this.close(true);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    _onDocumentPointerDown(event) {
+        this._keyboard = false;
+        if (!this._element.contains(event.target)) {
+            this.close();
+        }
+    }
+
+    /**
+     * Close the menu and release its listeners
+     */
+    dispose() {
+        this.close();
+    }
+}
+
+function injectStyle(document) {
+    // One shared stylesheet per document, placed first so page styles override it
+    if (document.getElementById(STYLE_ID)) return;
+
+    const style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = MENU_STYLE;
+    document.head.insertBefore(style, document.head.firstChild);
+}
@@ -1,11 +1,38 @@
 import * as THREE from 'three';
-import { FACES } from './faces.js';
-import { createTextTexture } from './utils.js';
+import { FACES, getAxes, getFaceDirection, getFaceType, mirrorFaceId } from './faces.js';
+import { resolveColors } from './themes.js';
+import { createLabelTexture, createTextTexture } from './utils.js';
+import { ViewCubeResources } from './ViewCubeResources.js';
 
 const DEG_TO_RAD = Math.PI / 180;
 
+// Compass letters, clockwise from north as seen from above
+const COMPASS_LETTERS = ['N', 'E', 'S', 'W'];
+
+// Keys for label images in the shared texture cache
+const imageKeys = new WeakMap();
+let nextImageKey = 0;
+
+// Canvas size the font sizes are given for
+const BASE_LABEL_RESOLUTION = 200;
+
+// Distance of the label planes in front of their faces
+const LABEL_OFFSET = 0.05;
+
+// Face tints and triad colors for the world X, Y and Z axes
+const FACE_AXIS_COLORS = { x: 0xF4A8A8, y: 0xA8DDB5, z: 0xA8C8F4 };
+const TRIAD_AXIS_COLORS = { x: 0xE53935, y: 0x43A047, z: 0x1E88E5 };
+
+const STYLES = ['flat', 'chamfered', 'rounded'];
+
+// Subdivisions of each half of a rounded edge's quarter circle
+const ROUND_SEGMENTS = 4;
+
 /**
  * ViewCubeMesh - The 3D cube mesh with faces, edges, and corners
+ *
+ * Every pickable region carries its face ID in `userData.faceId`. The 'chamfered' and
+ * 'rounded' styles and custom meshes are shaded, so their scene needs lights.
  */
 export class ViewCubeMesh extends THREE.Object3D {
     constructor(options = {}) {
@@ -14,16 +41,13 @@ export class ViewCubeMesh extends THREE.Object3D {
         this._options = {
             size: options.size || 30,
             edgeSize: options.edgeSize || 5,
+            style: options.style || 'flat',
+            mesh: options.mesh || null,
+            regions: options.regions || {},
             showOutline: options.showOutline !== false,
             showEdges: options.showEdges !== false,
             showCorners: options.showCorners !== false,
             coordinateSystem: options.coordinateSystem || 'Z-up',
-            colors: {
-                main: options.colors?.main ?? 0xDDDDDD,
-                hover: options.colors?.hover ?? 0x87CEEB,
-                outline: options.colors?.outline ?? 0x666666,
-                ...options.colors
-            },
             labels: {
                 top: options.labels?.top ?? 'TOP',
                 bottom: options.labels?.bottom ?? 'BOTTOM',
@@ -37,73 +61,247 @@ export class ViewCubeMesh extends THREE.Object3D {
                 family: options.font?.family ?? 'Arial Narrow, sans-serif',
                 size: options.font?.size ?? 45,
                 ...options.font
-            }
+            },
+            labelResolution: options.labelResolution || BASE_LABEL_RESOLUTION,
+            anisotropy: options.anisotropy || 1,
+            createCanvas: options.createCanvas,
+            compass: options.compass ? {
+                north: options.compass.north ?? 0
+            } : null,
+            axisColors: options.axisColors ? { ...FACE_AXIS_COLORS, ...options.axisColors } : null,
+            axisTriad: options.axisTriad ? {
+                corner: options.axisTriad.corner ?? null,
+                length: options.axisTriad.length ?? (options.size || 30) * 1.25,
+                colors: { ...TRIAD_AXIS_COLORS, ...options.axisTriad.colors }
+            } : null
         };
 
-        this._bgColor = this._options.colors.main;
-        this._hoverColor = this._options.colors.hover;
-        this._outlineColor = this._options.colors.outline;
+        // Theme colors; explicit compass colors override the theme
+        this._colors = resolveColors({
+            ...options.colors,
+            ...(options.compass?.color !== undefined ? { compass: options.compass.color } : {}),
+            ...(options.compass?.labelColor !== undefined ? { compassLabel: options.compass.labelColor } : {})
+        });
+
+        if (!STYLES.includes(this._options.style)) {
+            throw new Error(`ViewCube: unknown cube style '${this._options.style}'`);
+        }
+
+        this._axes = getAxes(this._options.coordinateSystem);
+
+        // Geometries and label textures may be shared with other cubes
+        this._resources = options.resources || new ViewCubeResources();
+        this._acquired = [];
+        this._onTextureChange = () => this.dispatchEvent({ type: 'change' });
+
+        this._hoverFace = null;
+        this._opacity = 1;
+        this._activeFace = null;
 
         this._build();
     }
 
     _build() {
-        const { size, edgeSize, coordinateSystem } = this._options;
+        const { size, edgeSize } = this._options;
         const faceSize = size - edgeSize * 2;
         const faceOffset = size / 2;
         const borderSize = edgeSize;
 
         // Apply coordinate system rotation
-        if (coordinateSystem === 'Z-up') {
-            this.rotation.x = -Math.PI / 2;
+        this.quaternion.copy(this._getWorldQuaternion());
+        this._labelMeshes = {};
+
+        if (this._options.mesh) {
+            this.add(this._createCustomMesh(this._options.mesh));
+        } else {
+            this._buildCube(size, faceSize, faceOffset, borderSize);
+        }
+
+        // Create outline; the shaded styles show their edges by lighting instead
+        if (this._options.showOutline && this._options.style === 'flat' && !this._options.mesh) {
+            this._outline = this._createCubeOutline(size);
+            this.add(this._outline);
+        }
+
+        // Create compass ring
+        if (this._options.compass) {
+            this._compass = this._createCompass(size);
+            this.add(this._compass);
         }
 
+        // Create axis triad
+        if (this._options.axisTriad) {
+            this.add(this._createAxisTriad(size));
+        }
+
+        this._updateColors();
+    }
+
+    _buildCube(size, faceSize, faceOffset, borderSize) {
         // Create main faces
         const cubeFaces = this._createCubeFaces(faceSize, faceOffset);
         const faceLabels = this._getFaceLabels();
         for (let [i, props] of faceLabels.entries()) {
-            cubeFaces.children[i].name = props.name;
-            cubeFaces.children[i].material.color.setHex(this._bgColor);
-            cubeFaces.children[i].material.map = props.map;
+            const face = cubeFaces.children[i];
+            face.userData.faceId = props.faceId;
+            this._labelMeshes[props.faceId] = this._createLabel(faceSize, props.map);
+            face.add(this._labelMeshes[props.faceId]);
         }
         this.add(cubeFaces);
 
-        // Create corners
-        if (this._options.showCorners) {
-            this._createCorners(borderSize, faceOffset);
-        }
+        if (this._options.style !== 'flat') {
+            this._createBevels(size, borderSize);
+        } else {
+            // Create corners
+            if (this._options.showCorners) {
+                this._createCorners(borderSize, faceOffset);
+            }
 
-        // Create edges
-        if (this._options.showEdges) {
-            this._createEdges(borderSize, faceSize, faceOffset);
+            // Create edges
+            if (this._options.showEdges) {
+                this._createEdges(borderSize, faceSize, faceOffset);
+            }
         }
 
-        // Create outline
-        if (this._options.showOutline) {
-            this.add(this._createCubeOutline(size));
+        // Left-handed axes mirror the cube: the RIGHT side sits on the local -X side
+        if (this._axes.handedness === 'left') {
+            this.traverse((obj) => {
+                if (obj.userData.faceId !== undefined) obj.userData.faceId = mirrorFaceId(obj.userData.faceId);
+            });
         }
     }
 
     _getFaceLabels() {
-        const { labels, font } = this._options;
-        const fontOpts = { fontSize: font.size, font: font.family };
+        const { labels } = this._options;
+
+        // The local +X face becomes LEFT once a left-handed cube is mirrored
+        const [right, left] = this._axes.handedness === 'left'
+            ? [labels.left, labels.right]
+            : [labels.right, labels.left];
 
         return [
-            { name: FACES.FRONT, map: createTextTexture(THREE, labels.front, fontOpts) },
-            { name: FACES.RIGHT, map: createTextTexture(THREE, labels.right, fontOpts) },
-            { name: FACES.BACK, map: createTextTexture(THREE, labels.back, fontOpts) },
-            { name: FACES.LEFT, map: createTextTexture(THREE, labels.left, fontOpts) },
-            { name: FACES.TOP, map: createTextTexture(THREE, labels.top, { ...fontOpts, rotation: 180 }) },
-            { name: FACES.BOTTOM, map: createTextTexture(THREE, labels.bottom, { ...fontOpts, rotation: 180 }) }
+            { faceId: FACES.FRONT, map: this._getLabelTexture(labels.front) },
+            { faceId: FACES.RIGHT, map: this._getLabelTexture(right) },
+            { faceId: FACES.BACK, map: this._getLabelTexture(labels.back) },
+            { faceId: FACES.LEFT, map: this._getLabelTexture(left) },
+            { faceId: FACES.TOP, map: this._getLabelTexture(labels.top, 180) },
+            { faceId: FACES.BOTTOM, map: this._getLabelTexture(labels.bottom, 180) }
         ];
     }
 
-    _createFace(size, position, { axis = [0, 1, 0], angle = 0, name = "", matProps = {} } = {}) {
+    _getLabelTexture(label, rotation = 0) {
+        // A string, or { text, image, font, fontSize, color } overriding the cube's font and theme
+        const spec = typeof label === 'object' && label !== null ? label : { text: label ?? '' };
+        const { font, labelResolution } = this._options;
+        const scale = labelResolution / BASE_LABEL_RESOLUTION;
+
+        // Drawn on a transparent background in the text color to avoid dark fringes
+        const fgColor = toRGB(spec.color ?? this._colors.label);
+        const options = {
+            font: spec.font ?? font.family,
+            fontSize: Math.round((spec.fontSize ?? font.size) * scale),
+            minFontSize: Math.max(4, Math.round(10 * scale)),
+            width: labelResolution,
+            height: labelResolution,
+            rotation,
+            bgColor: [...fgColor, 0],
+            fgColor: [...fgColor, 1.0]
+        };
+
+        const image = typeof spec.image === 'object' && spec.image !== null ? getObjectKey(spec.image) : spec.image;
+        const key = `label:${JSON.stringify({ text: spec.text, image })}:${JSON.stringify(options)}`;
+        const texture = this._resources.acquire(key, () => this._withAnisotropy(createLabelTexture(THREE, spec, {
+            ...options,
+            createCanvas: this._options.createCanvas,
+            // Shared textures tell every cube holding them, not just the one that created them
+            onLoad: loaded => loaded.dispatchEvent({ type: 'change' })
+        })));
+        texture.addEventListener('change', this._onTextureChange);
+        this._acquired.push(texture);
+        return texture;
+    }
+
+    /**
+     * Get the label texture size in pixels
+     * @returns {number}
+     */
+    getLabelResolution() {
+        return this._options.labelResolution;
+    }
+
+    /**
+     * Redraw the labels at another texture size, e.g. to match the on-screen size
+     * @param {number} resolution - Width and height of the label textures in pixels
+     */
+    setLabelResolution(resolution) {
+        this._options.labelResolution = resolution;
+        this._updateLabels();
+    }
+
+    /**
+     * Set anisotropic filtering for all textures
+     * @param {number} anisotropy - Usually renderer.capabilities.getMaxAnisotropy()
+     */
+    setAnisotropy(anisotropy) {
+        this._options.anisotropy = anisotropy;
+        this.traverse((obj) => {
+            if (obj.material && obj.material.map) {
+                this._withAnisotropy(obj.material.map);
+            }
+        });
+    }
+
+    _withAnisotropy(texture) {
+        if (texture.anisotropy !== this._options.anisotropy) {
+            texture.anisotropy = this._options.anisotropy;
+            texture.needsUpdate = true;
+        }
+        return texture;
+    }
+
+    /**
+     * Replace face labels at runtime, e.g. after a language change
+     * @param {Object} labels - Labels by face: { top, bottom, front, back, left, right }; each a
+     *   string (`\n` for line breaks) or { text, image, font, fontSize, color }
+     */
+    setLabels(labels) {
+        this._options.labels = { ...this._options.labels, ...labels };
+        this._updateLabels();
+    }
+
+    _createLabel(size, map) {
+        const label = new THREE.Mesh(
+            this._getGeometry(`plane:${size}x${size}`, () => new THREE.PlaneGeometry(size, size)),
+            new THREE.MeshBasicMaterial({ map, transparent: true, depthWrite: false })
+        );
+        label.position.z = LABEL_OFFSET;
+        // Picking falls through to the face underneath
+        label.userData.pickThrough = true;
+        return label;
+    }
+
+    _updateLabels() {
+        // Custom meshes have no labels
+        if (this._options.mesh) return;
+
+        for (const { faceId, map } of this._getFaceLabels()) {
+            const material = this._labelMeshes[faceId].material;
+            this._releaseResource(material.map);
+            material.map = map;
+        }
+    }
+
+    _createMaterial() {
+        return this._options.style === 'flat' ? new THREE.MeshBasicMaterial() : new THREE.MeshLambertMaterial();
+    }
+
+    _createFace(size, position, { axis = [0, 1, 0], angle = 0, name, matProps = {} } = {}) {
         if (!Array.isArray(size)) size = [size, size];
-        const material = new THREE.MeshBasicMaterial(matProps);
-        const geometry = new THREE.PlaneGeometry(size[0], size[1]);
+        const material = this._createMaterial();
+        material.setValues(matProps);
+        const geometry = this._getGeometry(`plane:${size[0]}x${size[1]}`, () => new THREE.PlaneGeometry(size[0], size[1]));
         const face = new THREE.Mesh(geometry, material);
-        face.name = name;
+        if (name !== undefined) face.userData.faceId = name;
         face.rotateOnAxis(new THREE.Vector3(...axis), angle * DEG_TO_RAD);
         face.position.set(...position);
         return face;
@@ -136,13 +334,13 @@ export class ViewCubeMesh extends THREE.Object3D {
             FACES.TOP_BACK_LEFT_CORNER,
             FACES.TOP_FRONT_LEFT_CORNER,
             FACES.BOTTOM_BACK_RIGHT_CORNER,
-            FACES.BOTTOM_FRONT_RIGHT_CORNER,
+            FACES.BOTTOM_BACK_LEFT_CORNER,
             FACES.BOTTOM_FRONT_LEFT_CORNER,
-            FACES.BOTTOM_BACK_LEFT_CORNER
+            FACES.BOTTOM_FRONT_RIGHT_CORNER
         ];
 
         for (let [i, name] of cornerFaces.entries()) {
-            const corner = this._createCornerFaces(borderSize, faceOffset, name, { color: this._bgColor });
+            const corner = this._createCornerFaces(borderSize, faceOffset, name, { color: this._colors.corner });
             corner.rotateOnAxis(new THREE.Vector3(0, 1, 0), (i % 4) * 90 * DEG_TO_RAD);
             if (i >= 4) {
                 corner.rotateOnAxis(new THREE.Vector3(1, 0, 0), 180 * DEG_TO_RAD);
@@ -171,7 +369,7 @@ export class ViewCubeMesh extends THREE.Object3D {
 
         const edges = [];
         for (let [i, name] of topEdgeFaces.entries()) {
-            const edge = this._createHorzEdgeFaces(faceSize, borderSize, faceOffset, name, { color: this._bgColor });
+            const edge = this._createHorzEdgeFaces(faceSize, borderSize, faceOffset, name, { color: this._colors.edge });
             edge.rotateOnAxis(new THREE.Vector3(0, 1, 0), i * 90 * DEG_TO_RAD);
             edges.push(edge);
         }
@@ -189,7 +387,7 @@ export class ViewCubeMesh extends THREE.Object3D {
         ];
 
         for (let [i, name] of bottomEdgeFaces.entries()) {
-            const edge = this._createHorzEdgeFaces(faceSize, borderSize, faceOffset, name, { color: this._bgColor });
+            const edge = this._createHorzEdgeFaces(faceSize, borderSize, faceOffset, name, { color: this._colors.edge });
             edge.rotateOnAxis(new THREE.Vector3(0, 1, 0), i * 90 * DEG_TO_RAD);
             bottomEdges.add(edge);
         }
@@ -206,7 +404,7 @@ export class ViewCubeMesh extends THREE.Object3D {
 
         const sideEdges = new THREE.Group();
         for (let [i, name] of sideEdgeFaces.entries()) {
-            const edge = this._createVertEdgeFaces(borderSize, faceSize, faceOffset, name, { color: this._bgColor });
+            const edge = this._createVertEdgeFaces(borderSize, faceSize, faceOffset, name, { color: this._colors.edge });
             edge.rotateOnAxis(new THREE.Vector3(0, 1, 0), i * 90 * DEG_TO_RAD);
             sideEdges.add(edge);
         }
@@ -229,11 +427,109 @@ export class ViewCubeMesh extends THREE.Object3D {
         return edge;
     }
 
+    _createBevels(size, radius) {
+        const { style, showEdges, showCorners } = this._options;
+        let regions = null;
+
+        for (const faceId of Object.values(FACES)) {
+            const type = getFaceType(faceId);
+            if (type === 'face') continue;
+
+            const geometry = this._getGeometry(`bevel:${style}:${size}:${radius}:${faceId}`, () => {
+                regions = regions || createBevelRegions(size, radius, style === 'rounded');
+                return regions.get(faceId);
+            });
+            const bevel = new THREE.Mesh(geometry, this._createMaterial());
+            if ((type === 'edge' && !showEdges) || (type === 'corner' && !showCorners)) {
+                // Hidden regions still close the cube, but in the face color and not pickable
+                bevel.userData.fill = true;
+            } else {
+                bevel.userData.faceId = faceId;
+            }
+            this.add(bevel);
+        }
+    }
+
+    _createCustomMesh(mesh) {
+        // The mesh is modelled in world coordinates and scaled to the cube's size
+        const object = mesh.clone();
+        const box = new THREE.Box3().setFromObject(object);
+        if (box.isEmpty()) {
+            throw new Error('ViewCube: custom mesh is empty');
+        }
+        const dimensions = box.getSize(new THREE.Vector3());
+        const scale = this._options.size / Math.max(dimensions.x, dimensions.y, dimensions.z);
+
+        const fit = new THREE.Group();
+        fit.scale.setScalar(scale);
+        fit.position.copy(box.getCenter(new THREE.Vector3())).multiplyScalar(-scale);
+        fit.add(object);
+
+        const wrapper = new THREE.Group();
+        wrapper.quaternion.copy(this._getWorldQuaternion()).invert();
+        wrapper.add(fit);
+
+        this._assignRegions(object, undefined);
+        return wrapper;
+    }
+
+    _assignRegions(object, inherited) {
+        // Groups pass their region on to their children
+        const faceId = this._getRegion(object) ?? inherited;
+
+        if (object.material) {
+            // Own copies, so highlighting and fading leave the caller's materials alone
+            object.material = Array.isArray(object.material)
+                ? object.material.map(material => material.clone())
+                : object.material.clone();
+            if (faceId !== undefined) {
+                object.userData.faceId = faceId;
+                for (const material of getMaterials(object)) {
+                    if (material.color) material.userData.baseColor = material.color.getHex();
+                }
+            }
+        }
+
+        for (const child of object.children) {
+            this._assignRegions(child, faceId);
+        }
+    }
+
+    _getRegion(object) {
+        // userData.faceId, an entry in the regions option, or a name like 'TOP' or 'top_front_edge'
+        const { regions } = this._options;
+        let faceId = object.userData.faceId;
+        if (faceId === undefined && hasOwn(regions, object.name)) {
+            faceId = regions[object.name];
+        }
+        if (faceId === undefined && hasOwn(FACES, object.name.toUpperCase())) {
+            faceId = FACES[object.name.toUpperCase()];
+        }
+        if (faceId !== undefined && !Object.values(FACES).includes(faceId)) {
+            throw new Error(`ViewCube: unknown face ID ${faceId} for mesh region '${object.name}'`);
+        }
+        return faceId;
+    }
+
+    /**
+     * Get the center of a pickable region
+     * @param {number} faceId - Face ID
+     * @param {THREE.Vector3} [target] - Vector to write into
+     * @returns {THREE.Vector3|null} World position, or null when the cube has no such region
+     */
+    getRegionCenter(faceId, target = new THREE.Vector3()) {
+        const box = new THREE.Box3();
+        this.updateWorldMatrix(true, true);
+        this.traverse((obj) => {
+            if (obj.userData.faceId === faceId) box.expandByObject(obj);
+        });
+        return box.isEmpty() ? null : box.getCenter(target);
+    }
+
     _createCubeOutline(size) {
-        const geometry = new THREE.BoxGeometry(size, size, size);
-        const geo = new THREE.EdgesGeometry(geometry);
+        const geo = this._getGeometry(`outline:${size}`, () => new THREE.EdgesGeometry(new THREE.BoxGeometry(size, size, size)));
         const mat = new THREE.LineDashedMaterial({
-            color: this._outlineColor,
+            color: this._colors.outline,
             linewidth: 1,
             dashSize: 3,
             gapSize: 2
@@ -243,46 +539,445 @@ export class ViewCubeMesh extends THREE.Object3D {
         return wireframe;
     }
 
+    _createCompass(size) {
+        const { north } = this._options.compass;
+        const innerRadius = size * 0.75;
+        const outerRadius = size * 0.9;
+        const letterSize = size * 0.3;
+
+        const compass = new THREE.Group();
+        compass.position.y = -size / 2;
+        // North points to BACK by default, the offset turns it clockwise seen from above
+        compass.rotation.y = -north * DEG_TO_RAD;
+
+        const ring = new THREE.Mesh(
+            this._getGeometry(`ring:${innerRadius}:${outerRadius}`, () => new THREE.RingGeometry(innerRadius, outerRadius, 64)),
+            new THREE.MeshBasicMaterial({ color: this._colors.compass, side: THREE.DoubleSide })
+        );
+        ring.rotation.x = -Math.PI / 2;
+        ring.userData.compass = 'ring';
+        compass.add(ring);
+
+        for (const [i, letter] of COMPASS_LETTERS.entries()) {
+            const map = this._getCompassTexture(letter);
+            const label = new THREE.Mesh(
+                this._getGeometry(`plane:${letterSize}x${letterSize}`, () => new THREE.PlaneGeometry(letterSize, letterSize)),
+                new THREE.MeshBasicMaterial({ map, transparent: true, side: THREE.DoubleSide })
+            );
+            // Lie flat with the top of the letter pointing outwards
+            label.rotation.x = -Math.PI / 2;
+            label.position.set(0, 0.1, -(innerRadius + outerRadius) / 2);
+            label.userData.compass = letter;
+
+            const pivot = new THREE.Group();
+            pivot.rotation.y = -i * Math.PI / 2;
+            pivot.add(label);
+            compass.add(pivot);
+        }
+
+        return compass;
+    }
+
+    _createAxisTriad(size) {
+        const { corner, length, colors } = this._options.axisTriad;
+        const { coordinateSystem } = this._options;
+        const toLocal = this._getWorldQuaternion().invert();
+
+        // Start just outside the corner so the arrows don't cover the cube's edges
+        const cornerId = corner ?? this._getOriginCorner();
+        const origin = toVector3(getFaceDirection(cornerId, coordinateSystem))
+            .applyQuaternion(toLocal)
+            .multiplyScalar(size * 0.55 * Math.sqrt(3));
+
+        const triad = new THREE.Group();
+        for (const axis of ['x', 'y', 'z']) {
+            const direction = new THREE.Vector3().setComponent('xyz'.indexOf(axis), 1).applyQuaternion(toLocal);
+            const end = origin.clone().addScaledVector(direction, length);
+
+            const line = new THREE.Line(
+                this._getGeometry(`triad:${origin.toArray()}:${end.toArray()}`,
+                    () => new THREE.BufferGeometry().setFromPoints([origin, end])),
+                new THREE.LineBasicMaterial({ color: colors[axis] })
+            );
+            triad.add(line);
+
+            const head = new THREE.Sprite(new THREE.SpriteMaterial({
+                map: this._getTexture(axis.toUpperCase(), {
+                    width: 64,
+                    height: 64,
+                    fontSize: 40,
+                    font: this._options.font.family,
+                    shape: 'circle',
+                    bgColor: [...toRGB(colors[axis]), 1.0],
+                    fgColor: [255, 255, 255, 1.0]
+                })
+            }));
+            head.position.copy(end);
+            head.scale.setScalar(size * 0.3);
+            head.userData.axis = axis;
+            triad.add(head);
+        }
+        return triad;
+    }
+
+    _getOriginCorner() {
+        // The corner nearest to the negative end of every world axis
+        const { coordinateSystem } = this._options;
+        let best = null;
+        let bestSum = Infinity;
+        for (const [name, faceId] of Object.entries(FACES)) {
+            if (!name.endsWith('_CORNER')) continue;
+            const { x, y, z } = getFaceDirection(faceId, coordinateSystem);
+            if (x + y + z < bestSum) {
+                best = faceId;
+                bestSum = x + y + z;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Get the world axis a main face is tinted by
+     * @param {number} faceId - Face ID of a main face
+     * @returns {string} 'x', 'y' or 'z'
+     */
+    getFaceAxis(faceId) {
+        const direction = getFaceDirection(faceId, this._options.coordinateSystem);
+        const components = [Math.abs(direction.x), Math.abs(direction.y), Math.abs(direction.z)];
+        return 'xyz'[components.indexOf(Math.max(...components))];
+    }
+
+    _getCompassTexture(letter) {
+        const fgColor = toRGB(this._colors.compassLabel);
+        return this._getTexture(letter, {
+            width: 64,
+            height: 64,
+            fontSize: 44,
+            font: this._options.font.family,
+            bgColor: [...fgColor, 0],
+            fgColor: [...fgColor, 1.0]
+        });
+    }
+
+    _updateCompass(redrawLetters) {
+        this._compass.traverse((obj) => {
+            if (obj.userData.compass === 'ring') {
+                obj.material.color.setHex(this._colors.compass);
+            } else if (obj.userData.compass && redrawLetters) {
+                this._releaseResource(obj.material.map);
+                obj.material.map = this._getCompassTexture(obj.userData.compass);
+            }
+        });
+    }
+
+    _getGeometry(key, create) {
+        const geometry = this._resources.acquire(`geometry:${key}`, create);
+        this._acquired.push(geometry);
+        return geometry;
+    }
+
+    _getTexture(text, options) {
+        const key = `texture:${text}:${JSON.stringify(options)}`;
+        const texture = this._resources.acquire(key, () => this._withAnisotropy(createTextTexture(THREE, text, {
+            ...options,
+            createCanvas: this._options.createCanvas
+        })));
+        this._acquired.push(texture);
+        return texture;
+    }
+
+    _releaseResource(resource) {
+        const index = this._acquired.indexOf(resource);
+        if (index !== -1) {
+            this._acquired.splice(index, 1);
+            if (!this._acquired.includes(resource)) {
+                resource.removeEventListener('change', this._onTextureChange);
+            }
+            this._resources.release(resource);
+        }
+    }
+
+    /**
+     * Get the world direction a compass letter points to
+     * @param {string} letter - 'N', 'E', 'S' or 'W'
+     * @returns {THREE.Vector3} Unit heading in world coordinates
+     */
+    getCompassDirection(letter) {
+        const north = this._options.compass?.north ?? 0;
+        const index = COMPASS_LETTERS.indexOf(letter);
+        const angle = -(north + index * 90) * DEG_TO_RAD;
+
+        // Cube-local frame (Y-up), rotated into world coordinates
+        return new THREE.Vector3(0, 0, -1)
+            .applyAxisAngle(new THREE.Vector3(0, 1, 0), angle)
+            .applyQuaternion(this._getWorldQuaternion());
+    }
+
+    _getWorldQuaternion() {
+        // Rotation from the cube-local frame (X right, Y up, Z front) into world coordinates.
+        // Left-handed axes use the mirrored right axis to stay a rotation.
+        const { up, front } = this._axes;
+        const upVector = new THREE.Vector3(up.x, up.y, up.z);
+        const frontVector = new THREE.Vector3(front.x, front.y, front.z);
+        const rightVector = new THREE.Vector3().crossVectors(upVector, frontVector);
+        return new THREE.Quaternion().setFromRotationMatrix(
+            new THREE.Matrix4().makeBasis(rightVector, upVector, frontVector)
+        );
+    }
+
     /**
      * Set hover state for a face
      */
     setHover(faceId) {
+        this._hoverFace = faceId;
+        this._updateColors();
+    }
+
+    /**
+     * Clear all hover states
+     */
+    clearHover() {
+        this._hoverFace = null;
+        this._updateColors();
+    }
+
+    /**
+     * Highlight the face of the current view, independently of hover
+     * @param {number|null} faceId - Face ID, or null to clear
+     */
+    setActive(faceId) {
+        this._activeFace = faceId;
+        this._updateColors();
+    }
+
+    /**
+     * Get the current colors
+     * @returns {Object} Theme colors: face, edge, corner, hover, active, outline, label, compass, compassLabel
+     */
+    getColors() {
+        return { ...this._colors };
+    }
+
+    /**
+     * Change colors at runtime; label textures are redrawn when their colors change
+     * @param {Object} colors - Theme colors to change, see getColors()
+     */
+    setColors(colors) {
+        const previous = this._colors;
+        this._colors = resolveColors(colors, previous);
+
+        this._updateColors();
+        if (this._outline) {
+            this._outline.material.color.setHex(this._colors.outline);
+        }
+        if (this._colors.label !== previous.label) {
+            this._updateLabels();
+        }
+        if (this._compass) {
+            this._updateCompass(this._colors.compassLabel !== previous.compassLabel);
+        }
+    }
+
+    _getBaseColor(faceId) {
+        const type = getFaceType(faceId);
+        if (type === 'face' && this._options.axisColors) {
+            return this._options.axisColors[this.getFaceAxis(faceId)];
+        }
+        return this._colors[type];
+    }
+
+    _updateColors() {
         this.traverse((obj) => {
-            if (obj.name) {
-                obj.material.color.setHex(obj.name === faceId ? this._hoverColor : this._bgColor);
+            if (obj.userData.fill) {
+                obj.material.color.setHex(this._colors.face);
+                return;
+            }
+            const faceId = obj.userData.faceId;
+            if (faceId === undefined) return;
+
+            for (const material of getMaterials(obj)) {
+                if (!material.color) continue;
+                // Custom meshes keep their own colors unless highlighted
+                let color = material.userData.baseColor ?? this._getBaseColor(faceId);
+                if (faceId === this._hoverFace) {
+                    color = this._colors.hover;
+                } else if (faceId === this._activeFace) {
+                    color = this._colors.active;
+                }
+                material.color.setHex(color);
             }
         });
     }
 
     /**
-     * Clear all hover states
+     * Fade the whole cube, keeping each material's own opacity relative to it
+     * @param {number} opacity - 0 (invisible) to 1
      */
-    clearHover() {
+    setOpacity(opacity) {
+        this._opacity = opacity;
         this.traverse((obj) => {
-            if (obj.name) {
-                obj.material.color.setHex(this._bgColor);
+            for (const material of getMaterials(obj)) {
+                if (material.userData.opacity === undefined) {
+                    material.userData.opacity = material.opacity;
+                    material.userData.transparent = material.transparent;
+                }
+                const transparent = material.userData.transparent || opacity < 1;
+                if (material.transparent !== transparent) {
+                    material.transparent = transparent;
+                    material.needsUpdate = true;
+                }
+                material.opacity = material.userData.opacity * opacity;
             }
         });
+        this.visible = opacity > 0;
+    }
+
+    /**
+     * Get the cube's opacity
+     * @returns {number} 0 to 1
+     */
+    getOpacity() {
+        return this._opacity;
     }
 
     /**
      * Set cube rotation from quaternion
      */
     setQuaternion(quaternion) {
-        const coordinateSystem = this._options.coordinateSystem;
-
-        if (coordinateSystem === 'Z-up') {
-            // Convert from Z-up camera quaternion to Y-up ViewCube
-            const zUpToYUp = new THREE.Quaternion();
-            zUpToYUp.setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2);
-            const invertedQuat = quaternion.clone().invert();
-            const finalQuat = new THREE.Quaternion();
-            finalQuat.multiplyQuaternions(invertedQuat, zUpToYUp);
-            this.setRotationFromQuaternion(finalQuat);
-        } else {
-            // Y-up system - just invert
-            const invertedQuat = quaternion.clone().invert();
-            this.setRotationFromQuaternion(invertedQuat);
+        // Invert the camera rotation, after rotating the Y-up cube into world coordinates
+        const invertedQuat = quaternion.clone().invert();
+        const finalQuat = new THREE.Quaternion();
+        finalQuat.multiplyQuaternions(invertedQuat, this._getWorldQuaternion());
+        this.setRotationFromQuaternion(finalQuat);
+    }
+
+    /**
+     * Dispose materials and release shared geometries and textures
+     */
+    dispose() {
+        this.traverse((obj) => {
+            for (const material of getMaterials(obj)) material.dispose();
+        });
+        for (const resource of this._acquired) {
+            resource.removeEventListener('change', this._onTextureChange);
+            this._resources.release(resource);
         }
+        this._acquired = [];
+    }
+}
+
+function getMaterials(object) {
+    if (!object.material) return [];
+    return Array.isArray(object.material) ? object.material : [object.material];
+}
+
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Build the edge and corner regions of a chamfered or rounded cube
+ * The border strips of each side are bent around a box inset by the radius: rounded
+ * onto a circle around it, chamfered onto the plane cutting it off.
+ * @param {number} size - Cube size
+ * @param {number} radius - Bevel size
+ * @param {boolean} rounded - Round instead of chamfer
+ * @returns {Map<number, THREE.BufferGeometry>} Geometries by cube-local face ID
+ */
+function createBevelRegions(size, radius, rounded) {
+    const half = size / 2;
+    const inner = half - radius;
+    const segments = rounded ? ROUND_SEGMENTS : 1;
+
+    // Grid lines across a side: the strips are subdivided, the flat middle is left out
+    const ticks = [];
+    for (let i = 0; i <= segments; i++) ticks.push(-half + radius * i / segments);
+    for (let i = 0; i <= segments; i++) ticks.push(inner + radius * i / segments);
+
+    const buffers = new Map();
+    const corner = (normal, u, v, a, b) => new THREE.Vector3()
+        .addScaledVector(normal, half).addScaledVector(u, a).addScaledVector(v, b);
+
+    for (const normal of [
+        new THREE.Vector3(1, 0, 0), new THREE.Vector3(-1, 0, 0),
+        new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, -1, 0),
+        new THREE.Vector3(0, 0, 1), new THREE.Vector3(0, 0, -1)
+    ]) {
+        // u × v = normal keeps the triangles facing outwards
+        const v = normal.y !== 0 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(0, 1, 0);
+        const u = new THREE.Vector3().crossVectors(v, normal);
+
+        for (let i = 0; i < ticks.length - 1; i++) {
+            for (let j = 0; j < ticks.length - 1; j++) {
+                const a = (ticks[i] + ticks[i + 1]) / 2;
+                const b = (ticks[j] + ticks[j + 1]) / 2;
+                if (Math.abs(a) < inner && Math.abs(b) < inner) continue;
+
+                const sides = getBevelSides(corner(normal, u, v, a, b), inner);
+                const faceId = getBevelFaceId(sides);
+                if (!buffers.has(faceId)) buffers.set(faceId, { positions: [], normals: [] });
+                const { positions, normals } = buffers.get(faceId);
+
+                const quad = [
+                    corner(normal, u, v, ticks[i], ticks[j]),
+                    corner(normal, u, v, ticks[i + 1], ticks[j]),
+                    corner(normal, u, v, ticks[i + 1], ticks[j + 1]),
+                    corner(normal, u, v, ticks[i], ticks[j + 1])
+                ];
+                for (const index of [0, 1, 2, 0, 2, 3]) {
+                    const point = quad[index];
+                    const base = point.clone().clampScalar(-inner, inner);
+                    const offset = point.clone().sub(base);
+                    const vertexNormal = rounded ? offset.clone().normalize() : sides.clone().normalize();
+                    if (rounded) {
+                        offset.setLength(radius);
+                    } else {
+                        offset.multiplyScalar(radius / (Math.abs(offset.x) + Math.abs(offset.y) + Math.abs(offset.z)));
+                    }
+                    positions.push(...base.add(offset).toArray());
+                    normals.push(...vertexNormal.toArray());
+                }
+            }
+        }
+    }
+
+    const geometries = new Map();
+    for (const [faceId, { positions, normals }] of buffers) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+        geometries.set(faceId, geometry);
+    }
+    return geometries;
+}
+
+function getBevelSides(point, inner) {
+    // -1, 0 or 1 per axis: which sides of the inset box the point lies beyond
+    const side = (value) => value > inner ? 1 : value < -inner ? -1 : 0;
+    return new THREE.Vector3(side(point.x), side(point.y), side(point.z));
+}
+
+function getBevelFaceId(sides) {
+    // Names read top/bottom, then front/back, then right/left, e.g. TOP_FRONT_RIGHT_CORNER
+    const parts = [
+        ['BOTTOM', '', 'TOP'][sides.y + 1],
+        ['BACK', '', 'FRONT'][sides.z + 1],
+        ['LEFT', '', 'RIGHT'][sides.x + 1]
+    ].filter(Boolean);
+    return FACES[parts.join('_') + (parts.length === 3 ? '_CORNER' : '_EDGE')];
+}
+
+function toRGB(color) {
+    return new THREE.Color(color).toArray().map(c => Math.round(c * 255));
+}
+
+function toVector3(v) {
+    return new THREE.Vector3(v.x, v.y, v.z);
+}
+
+function getObjectKey(object) {
+    if (!imageKeys.has(object)) {
+        imageKeys.set(object, `#${nextImageKey++}`);
     }
+    return imageKeys.get(object);
 }
@@ -0,0 +1,69 @@
+/**
+ * ViewCubeResources - Reference-counted cache of geometries and textures
+ *
+ * Cubes built with the same cache reuse identical geometries and label textures.
+ * A resource is disposed once the last cube using it has released it.
+ *
+ * @example
+ * const resources = new ViewCubeResources();
+ * const a = new ViewCube({ container: left, resources });
+ * const b = new ViewCube({ container: right, resources });
+ */
+export class ViewCubeResources {
+    constructor() {
+        this._entries = new Map();
+        this._keys = new Map();
+    }
+
+    /**
+     * Get a cached resource, creating it on first use
+     * @param {string} key - Identifies the resource, e.g. geometry type and size
+     * @param {Function} create - Builds the resource when it is not cached yet
+     * @returns {Object} The resource; release() it when done
+     */
+    acquire(key, create) {
+        let entry = this._entries.get(key);
+        if (!entry) {
+            entry = { resource: create(), refs: 0 };
+            this._entries.set(key, entry);
+            this._keys.set(entry.resource, key);
+        }
+        entry.refs++;
+        return entry.resource;
+    }
+
+    /**
+     * Release a resource from acquire(), disposing it when no longer used
+     * @param {Object} resource - The acquired resource
+     */
+    release(resource) {
+        const key = this._keys.get(resource);
+        if (key === undefined) return;
+
+        const entry = this._entries.get(key);
+        if (--entry.refs > 0) return;
+
+        this._entries.delete(key);
+        this._keys.delete(resource);
+        resource.dispose();
+    }
+
+    /**
+     * Number of cached resources
+     * @type {number}
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * Dispose every cached resource, whether still used or not
+     */
+    dispose() {
+        for (const { resource } of this._entries.values()) {
+            resource.dispose();
+        }
+        this._entries.clear();
+        this._keys.clear();
+    }
+}
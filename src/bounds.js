@@ -0,0 +1,57 @@
+import * as THREE from 'three';
+
+/**
+ * Bounds helpers for fitting the camera to a model
+ *
+ * Bounds can be a THREE.Box3, a THREE.Sphere, an Object3D or an array of these.
+ * Potree point clouds are measured by their octree bounding box, since only part
+ * of their points may be loaded.
+ */
+
+/**
+ * Get the world-space bounding box of bounds
+ * @param {THREE.Box3|THREE.Sphere|THREE.Object3D|Array} bounds - Bounds to measure
+ * @param {THREE.Box3} [target] - Box to write into
+ * @returns {THREE.Box3} The bounding box, empty when there is nothing to measure
+ */
+export function getBoundingBox(bounds, target = new THREE.Box3()) {
+    const box = new THREE.Box3();
+    target.makeEmpty();
+
+    for (const item of Array.isArray(bounds) ? bounds : [bounds]) {
+        if (item && item.isBox3) {
+            target.union(item);
+        } else if (item && item.isSphere) {
+            if (!item.isEmpty()) target.union(item.getBoundingBox(box));
+        } else if (item && item.isObject3D) {
+            target.union(getObjectBox(item, box));
+        } else {
+            throw new Error('ViewCube: bounds must be a Box3, Sphere, Object3D or an array of them');
+        }
+    }
+    return target;
+}
+
+/**
+ * Get the world-space bounding sphere of bounds
+ * A single Sphere is returned as is; everything else is measured by its bounding box.
+ * @param {THREE.Box3|THREE.Sphere|THREE.Object3D|Array} bounds - Bounds to measure
+ * @param {THREE.Sphere} [target] - Sphere to write into
+ * @returns {THREE.Sphere} The bounding sphere, empty when there is nothing to measure
+ */
+export function getBoundingSphere(bounds, target = new THREE.Sphere()) {
+    if (bounds && bounds.isSphere) {
+        return target.copy(bounds);
+    }
+    return getBoundingBox(bounds).getBoundingSphere(target);
+}
+
+function getObjectBox(object, target) {
+    object.updateWorldMatrix(true, false);
+
+    // Potree point clouds (and similar) carry a local box of all points, loaded or not
+    if (object.boundingBox && object.boundingBox.isBox3 && !object.geometry) {
+        return target.copy(object.boundingBox).applyMatrix4(object.matrixWorld);
+    }
+    return target.setFromObject(object);
+}
@@ -1,8 +1,10 @@
 /**
  * ViewCube Face Constants and Configurations
- * Supports both Y-up (standard Three.js) and Z-up (Potree/CAD) coordinate systems
+ * Supports Y-up (standard Three.js), Z-up (Potree/CAD) and custom axis mappings
  */
 
+import * as THREE from 'three';
+
 export const FACES = {
     TOP: 1,
     FRONT: 2,
@@ -37,164 +39,228 @@ export const FACES = {
     BOTTOM_FRONT_LEFT_CORNER: 26
 };
 
-/**
- * Get face configurations for the specified coordinate system
- * @param {string} coordinateSystem - 'Y-up' or 'Z-up'
- * @param {number} distance - Camera distance from origin
- * @returns {Object} Face configurations
- */
-export function getFaceConfigs(coordinateSystem = 'Z-up', distance = 100) {
-    if (coordinateSystem === 'Z-up') {
-        return getZUpFaceConfigs(distance);
+// Directions of the RIGHT, TOP and FRONT faces in world coordinates
+const COORDINATE_SYSTEMS = {
+    'Y-up': {
+        right: { x: 1, y: 0, z: 0 },
+        up: { x: 0, y: 1, z: 0 },
+        front: { x: 0, y: 0, z: 1 }
+    },
+    'Z-up': {
+        right: { x: 1, y: 0, z: 0 },
+        up: { x: 0, y: 0, z: 1 },
+        front: { x: 0, y: -1, z: 0 }
     }
-    return getYUpFaceConfigs(distance);
-}
+};
+
+// Which axis, and which side of it, each word of a face name stands for
+const NAME_AXES = {
+    RIGHT: ['right', 1],
+    LEFT: ['right', -1],
+    TOP: ['up', 1],
+    BOTTOM: ['up', -1],
+    FRONT: ['front', 1],
+    BACK: ['front', -1]
+};
 
 /**
- * Z-up coordinate system (Potree, CAD applications)
+ * Get the world axes of the specified coordinate system
+ *
+ * Besides 'Y-up' and 'Z-up', a coordinate system can be described by an object
+ * `{ up, front, right }` (`forward` is accepted for `front`) or by a THREE.Matrix3 /
+ * THREE.Matrix4 whose columns are the right, up and front axes. Without `right`,
+ * it is derived from `handedness` ('right' by default).
+ * @param {string|Object} coordinateSystem - Preset name, axis description or basis matrix
+ * @returns {Object} Unit vectors { right, up, front } pointing out of those faces,
+ *   and `handedness` ('right' or 'left')
  */
-function getZUpFaceConfigs(d) {
+export function getAxes(coordinateSystem = 'Z-up') {
+    let description = coordinateSystem;
+    if (typeof coordinateSystem === 'string' || !coordinateSystem) {
+        description = COORDINATE_SYSTEMS[coordinateSystem] || COORDINATE_SYSTEMS['Y-up'];
+    } else if (coordinateSystem.isMatrix3 || coordinateSystem.isMatrix4) {
+        const right = new THREE.Vector3();
+        const up = new THREE.Vector3();
+        const front = new THREE.Vector3();
+        if (coordinateSystem.isMatrix3) {
+            right.setFromMatrix3Column(coordinateSystem, 0);
+            up.setFromMatrix3Column(coordinateSystem, 1);
+            front.setFromMatrix3Column(coordinateSystem, 2);
+        } else {
+            coordinateSystem.extractBasis(right, up, front);
+        }
+        description = { right, up, front };
+    }
+
+    const up = toVector(description.up);
+    const front = toVector(description.front || description.forward);
+    if (!up || !front) {
+        throw new Error('ViewCube: coordinateSystem needs up and front vectors');
+    }
+
+    // Make front orthogonal to up
+    up.normalize();
+    front.addScaledVector(up, -front.dot(up));
+    if (front.lengthSq() < 1e-12) {
+        throw new Error('ViewCube: coordinateSystem up and front must not be parallel');
+    }
+    front.normalize();
+
+    const rightHanded = new THREE.Vector3().crossVectors(up, front);
+    let right = toVector(description.right);
+    if (right) {
+        right.addScaledVector(up, -right.dot(up)).addScaledVector(front, -right.dot(front)).normalize();
+    } else {
+        right = description.handedness === 'left' ? rightHanded.clone().negate() : rightHanded;
+    }
+
     return {
-        [FACES.TOP]: {
-            up: { x: 0, y: 1, z: 0 },
-            lookAt: { x: 0, y: 0, z: -1 },
-            position: { x: 0, y: 0, z: d }
-        },
-        [FACES.FRONT]: {
-            up: { x: 0, y: 0, z: 1 },
-            lookAt: { x: 0, y: 1, z: 0 },
-            position: { x: 0, y: -d, z: 0 }
-        },
-        [FACES.RIGHT]: {
-            up: { x: 0, y: 0, z: 1 },
-            lookAt: { x: 1, y: 0, z: 0 },
-            position: { x: d, y: 0, z: 0 }
-        },
-        [FACES.BACK]: {
-            up: { x: 0, y: 0, z: 1 },
-            lookAt: { x: 0, y: -1, z: 0 },
-            position: { x: 0, y: d, z: 0 }
-        },
-        [FACES.LEFT]: {
-            up: { x: 0, y: 0, z: 1 },
-            lookAt: { x: -1, y: 0, z: 0 },
-            position: { x: -d, y: 0, z: 0 }
-        },
-        [FACES.BOTTOM]: {
-            up: { x: 0, y: -1, z: 0 },
-            lookAt: { x: 0, y: 0, z: 1 },
-            position: { x: 0, y: 0, z: -d }
-        },
-        // Edges and corners use interpolated values
-        ...getEdgeConfigs('Z-up', d),
-        ...getCornerConfigs('Z-up', d)
+        right: { x: right.x, y: right.y, z: right.z },
+        up: { x: up.x, y: up.y, z: up.z },
+        front: { x: front.x, y: front.y, z: front.z },
+        handedness: right.dot(rightHanded) < 0 ? 'left' : 'right'
     };
 }
 
+function toVector(value) {
+    return value ? new THREE.Vector3(value.x, value.y, value.z) : null;
+}
+
 /**
- * Y-up coordinate system (standard Three.js)
+ * Get the world up axis for the specified coordinate system
+ * @param {string|Object} coordinateSystem - Preset name, axis description or basis matrix
+ * @returns {Object} Up vector
  */
-function getYUpFaceConfigs(d) {
-    return {
-        [FACES.TOP]: {
-            up: { x: 0, y: 0, z: -1 },
-            lookAt: { x: 0, y: -1, z: 0 },
-            position: { x: 0, y: d, z: 0 }
-        },
-        [FACES.FRONT]: {
-            up: { x: 0, y: 1, z: 0 },
-            lookAt: { x: 0, y: 0, z: -1 },
-            position: { x: 0, y: 0, z: d }
-        },
-        [FACES.RIGHT]: {
-            up: { x: 0, y: 1, z: 0 },
-            lookAt: { x: -1, y: 0, z: 0 },
-            position: { x: d, y: 0, z: 0 }
-        },
-        [FACES.BACK]: {
-            up: { x: 0, y: 1, z: 0 },
-            lookAt: { x: 0, y: 0, z: 1 },
-            position: { x: 0, y: 0, z: -d }
-        },
-        [FACES.LEFT]: {
-            up: { x: 0, y: 1, z: 0 },
-            lookAt: { x: 1, y: 0, z: 0 },
-            position: { x: -d, y: 0, z: 0 }
-        },
-        [FACES.BOTTOM]: {
-            up: { x: 0, y: 0, z: 1 },
-            lookAt: { x: 0, y: 1, z: 0 },
-            position: { x: 0, y: -d, z: 0 }
-        },
-        ...getEdgeConfigs('Y-up', d),
-        ...getCornerConfigs('Y-up', d)
-    };
+export function getUpVector(coordinateSystem = 'Z-up') {
+    return getAxes(coordinateSystem).up;
 }
 
-function getEdgeConfigs(system, d) {
-    const e = d * 0.707; // sqrt(2)/2 for 45-degree positions
-
-    if (system === 'Z-up') {
-        return {
-            [FACES.TOP_FRONT_EDGE]: { up: { x: 0, y: 0, z: 1 }, lookAt: { x: 0, y: 1, z: 0 }, position: { x: 0, y: -e, z: e } },
-            [FACES.TOP_RIGHT_EDGE]: { up: { x: 0, y: 0, z: 1 }, lookAt: { x: 1, y: 0, z: 0 }, position: { x: e, y: 0, z: e } },
-            [FACES.TOP_BACK_EDGE]: { up: { x: 0, y: 0, z: 1 }, lookAt: { x: 0, y: -1, z: 0 }, position: { x: 0, y: e, z: e } },
-            [FACES.TOP_LEFT_EDGE]: { up: { x: 0, y: 0, z: 1 }, lookAt: { x: -1, y: 0, z: 0 }, position: { x: -e, y: 0, z: e } },
-            [FACES.FRONT_RIGHT_EDGE]: { up: { x: 0, y: 0, z: 1 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: e, y: -e, z: 0 } },
-            [FACES.BACK_RIGHT_EDGE]: { up: { x: 0, y: 0, z: 1 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: e, y: e, z: 0 } },
-            [FACES.BACK_LEFT_EDGE]: { up: { x: 0, y: 0, z: 1 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: -e, y: e, z: 0 } },
-            [FACES.FRONT_LEFT_EDGE]: { up: { x: 0, y: 0, z: 1 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: -e, y: -e, z: 0 } },
-            [FACES.BOTTOM_FRONT_EDGE]: { up: { x: 0, y: 0, z: 1 }, lookAt: { x: 0, y: 1, z: 0 }, position: { x: 0, y: -e, z: -e } },
-            [FACES.BOTTOM_RIGHT_EDGE]: { up: { x: 0, y: 0, z: 1 }, lookAt: { x: 1, y: 0, z: 0 }, position: { x: e, y: 0, z: -e } },
-            [FACES.BOTTOM_BACK_EDGE]: { up: { x: 0, y: 0, z: 1 }, lookAt: { x: 0, y: -1, z: 0 }, position: { x: 0, y: e, z: -e } },
-            [FACES.BOTTOM_LEFT_EDGE]: { up: { x: 0, y: 0, z: 1 }, lookAt: { x: -1, y: 0, z: 0 }, position: { x: -e, y: 0, z: -e } }
-        };
+/**
+ * Get the unit direction from the target towards the camera for a face, edge or corner
+ * @param {number} faceId - Face ID from FACES constant
+ * @param {string|Object} coordinateSystem - 'Y-up', 'Z-up', axis description or basis matrix
+ * @returns {Object} Unit vector
+ */
+export function getFaceDirection(faceId, coordinateSystem = 'Z-up') {
+    const axes = getAxes(coordinateSystem);
+    const direction = new THREE.Vector3();
+    for (const word of getFaceName(faceId).split('_')) {
+        if (NAME_AXES[word]) {
+            const [axis, sign] = NAME_AXES[word];
+            const { x, y, z } = axes[axis];
+            direction.x += x * sign;
+            direction.y += y * sign;
+            direction.z += z * sign;
+        }
     }
+    direction.normalize();
+    return { x: direction.x, y: direction.y, z: direction.z };
+}
+
+/**
+ * Build a camera configuration looking at the origin from a direction
+ * @param {Object} offsetDirection - Unit direction from the target towards the camera
+ * @param {Object} up - Camera up vector, made orthogonal to the view direction
+ * @param {number} distance - Camera distance from the target
+ * @returns {Object} Configuration with direction, offset, position, up, lookAt and quaternion
+ */
+export function createViewConfig(offsetDirection, up, distance = 100) {
+    const offset = new THREE.Vector3(offsetDirection.x, offsetDirection.y, offsetDirection.z)
+        .normalize()
+        .multiplyScalar(distance);
+    const direction = offset.clone().normalize().negate();
+    const cameraUp = new THREE.Vector3(up.x, up.y, up.z)
+        .addScaledVector(direction, -direction.dot(up))
+        .normalize();
+    const quaternion = new THREE.Quaternion().setFromRotationMatrix(
+        new THREE.Matrix4().lookAt(offset, new THREE.Vector3(), cameraUp)
+    );
 
-    // Y-up edge configs
     return {
-        [FACES.TOP_FRONT_EDGE]: { up: { x: 0, y: 1, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: 0, y: e, z: e } },
-        [FACES.TOP_RIGHT_EDGE]: { up: { x: 0, y: 1, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: e, y: e, z: 0 } },
-        [FACES.TOP_BACK_EDGE]: { up: { x: 0, y: 1, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: 0, y: e, z: -e } },
-        [FACES.TOP_LEFT_EDGE]: { up: { x: 0, y: 1, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: -e, y: e, z: 0 } },
-        [FACES.FRONT_RIGHT_EDGE]: { up: { x: 0, y: 1, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: e, y: 0, z: e } },
-        [FACES.BACK_RIGHT_EDGE]: { up: { x: 0, y: 1, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: e, y: 0, z: -e } },
-        [FACES.BACK_LEFT_EDGE]: { up: { x: 0, y: 1, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: -e, y: 0, z: -e } },
-        [FACES.FRONT_LEFT_EDGE]: { up: { x: 0, y: 1, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: -e, y: 0, z: e } },
-        [FACES.BOTTOM_FRONT_EDGE]: { up: { x: 0, y: 1, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: 0, y: -e, z: e } },
-        [FACES.BOTTOM_RIGHT_EDGE]: { up: { x: 0, y: 1, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: e, y: -e, z: 0 } },
-        [FACES.BOTTOM_BACK_EDGE]: { up: { x: 0, y: 1, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: 0, y: -e, z: -e } },
-        [FACES.BOTTOM_LEFT_EDGE]: { up: { x: 0, y: 1, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, position: { x: -e, y: -e, z: 0 } }
+        direction: { x: direction.x, y: direction.y, z: direction.z },
+        offset: { x: offset.x, y: offset.y, z: offset.z },
+        position: { x: offset.x, y: offset.y, z: offset.z },
+        up: { x: cameraUp.x, y: cameraUp.y, z: cameraUp.z },
+        lookAt: { x: 0, y: 0, z: 0 },
+        quaternion: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
     };
 }
 
-function getCornerConfigs(system, d) {
-    const c = d * 0.577; // 1/sqrt(3) for corner positions
-    const up = system === 'Z-up' ? { x: 0, y: 0, z: 1 } : { x: 0, y: 1, z: 0 };
-
-    if (system === 'Z-up') {
-        return {
-            [FACES.TOP_FRONT_RIGHT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: c, y: -c, z: c } },
-            [FACES.TOP_BACK_RIGHT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: c, y: c, z: c } },
-            [FACES.TOP_BACK_LEFT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: -c, y: c, z: c } },
-            [FACES.TOP_FRONT_LEFT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: -c, y: -c, z: c } },
-            [FACES.BOTTOM_FRONT_RIGHT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: c, y: -c, z: -c } },
-            [FACES.BOTTOM_BACK_RIGHT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: c, y: c, z: -c } },
-            [FACES.BOTTOM_BACK_LEFT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: -c, y: c, z: -c } },
-            [FACES.BOTTOM_FRONT_LEFT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: -c, y: -c, z: -c } }
-        };
+/**
+ * Get face configurations for the specified coordinate system
+ *
+ * Every configuration looks at the origin. `direction` is the unit view direction,
+ * `offset` (and `position`) the camera position relative to the target, `up` the
+ * camera up vector and `quaternion` the matching camera orientation.
+ * @param {string|Object} coordinateSystem - 'Y-up', 'Z-up', axis description or basis matrix
+ * @param {number} distance - Camera distance from origin
+ * @returns {Object} Face configurations
+ */
+export function getFaceConfigs(coordinateSystem = 'Z-up', distance = 100) {
+    const { up, front } = getAxes(coordinateSystem);
+    const configs = {};
+
+    for (const faceId of Object.values(FACES)) {
+        const offsetDirection = getFaceDirection(faceId, coordinateSystem);
+        const elevation = offsetDirection.x * up.x + offsetDirection.y * up.y + offsetDirection.z * up.z;
+
+        // Straight down keeps FRONT at the bottom of the screen, straight up at the top
+        let cameraUp = up;
+        if (Math.abs(elevation) > 0.999) {
+            const sign = elevation > 0 ? -1 : 1;
+            cameraUp = { x: front.x * sign, y: front.y * sign, z: front.z * sign };
+        }
+
+        configs[faceId] = createViewConfig(offsetDirection, cameraUp, distance);
     }
+    return configs;
+}
 
-    return {
-        [FACES.TOP_FRONT_RIGHT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: c, y: c, z: c } },
-        [FACES.TOP_BACK_RIGHT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: c, y: c, z: -c } },
-        [FACES.TOP_BACK_LEFT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: -c, y: c, z: -c } },
-        [FACES.TOP_FRONT_LEFT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: -c, y: c, z: c } },
-        [FACES.BOTTOM_FRONT_RIGHT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: c, y: -c, z: c } },
-        [FACES.BOTTOM_BACK_RIGHT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: c, y: -c, z: -c } },
-        [FACES.BOTTOM_BACK_LEFT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: -c, y: -c, z: -c } },
-        [FACES.BOTTOM_FRONT_LEFT_CORNER]: { up, lookAt: { x: 0, y: 0, z: 0 }, position: { x: -c, y: -c, z: c } }
-    };
+/**
+ * Get the face ID on the opposite side of the left/right axis
+ * @param {number} faceId - Face ID from FACES constant
+ * @returns {number} Mirrored face ID (unchanged when it has no left/right part)
+ */
+export function mirrorFaceId(faceId) {
+    const name = getFaceName(faceId).split('_')
+        .map(word => (word === 'LEFT' ? 'RIGHT' : word === 'RIGHT' ? 'LEFT' : word))
+        .join('_');
+    return FACES[name] ?? faceId;
+}
+
+/**
+ * Get the kind of region a face ID stands for
+ * @param {number} faceId - Face ID from FACES constant
+ * @returns {string} 'face', 'edge' or 'corner'
+ */
+export function getFaceType(faceId) {
+    const name = getFaceName(faceId);
+    if (name.endsWith('_CORNER')) return 'corner';
+    if (name.endsWith('_EDGE')) return 'edge';
+    return 'face';
+}
+
+// Readable names of the words in face names
+export const FACE_NAME_STRINGS = {
+    TOP: 'Top',
+    BOTTOM: 'Bottom',
+    FRONT: 'Front',
+    BACK: 'Back',
+    LEFT: 'Left',
+    RIGHT: 'Right'
+};
+
+/**
+ * Get a readable name for a face, edge or corner, e.g. 'Top-Front-Right'
+ * @param {number} faceId - Face ID from FACES constant
+ * @param {Object} [strings] - Localized words: { TOP, BOTTOM, FRONT, BACK, LEFT, RIGHT }
+ * @returns {string} Readable name
+ */
+export function getReadableFaceName(faceId, strings = {}) {
+    return getFaceName(faceId).split('_')
+        .filter(word => word !== 'EDGE' && word !== 'CORNER')
+        .map(word => strings[word] ?? FACE_NAME_STRINGS[word] ?? word)
+        .join('-');
 }
 
 /**
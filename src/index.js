@@ -5,5 +5,23 @@
 
 export { ViewCube } from './ViewCube.js';
 export { ViewCubeMesh } from './ViewCubeMesh.js';
-export { FACES, getFaceConfigs, getFaceName } from './faces.js';
+export { ViewCubeController } from './ViewCubeController.js';
+export { ViewCubeManager } from './ViewCubeManager.js';
+export { ViewCubeResources } from './ViewCubeResources.js';
+export { EventEmitter } from './EventEmitter.js';
+export {
+    FACES,
+    FACE_NAME_STRINGS,
+    createViewConfig,
+    getAxes,
+    getFaceConfigs,
+    getFaceDirection,
+    getFaceName,
+    getFaceType,
+    getReadableFaceName,
+    getUpVector,
+    mirrorFaceId
+} from './faces.js';
+export { THEMES } from './themes.js';
+export { getBoundingBox, getBoundingSphere } from './bounds.js';
 export * from './utils.js';
@@ -0,0 +1,62 @@
+/**
+ * ViewCube Color Themes
+ * Presets for the cube, its labels, the compass and the overlay buttons
+ */
+
+export const THEMES = {
+    light: {
+        face: 0xDDDDDD,
+        edge: 0xDDDDDD,
+        corner: 0xDDDDDD,
+        hover: 0x87CEEB,
+        active: 0xA5D6A7,
+        outline: 0x666666,
+        label: 0x000000,
+        compass: 0xBBBBBB,
+        compassLabel: 0x333333,
+        buttonBackground: 'rgba(255, 255, 255, 0.8)',
+        buttonColor: '#444'
+    },
+    dark: {
+        face: 0x3C4048,
+        edge: 0x32363C,
+        corner: 0x32363C,
+        hover: 0x2E7DAF,
+        active: 0x3D7A4A,
+        outline: 0x9AA0A6,
+        label: 0xE8EAED,
+        compass: 0x4A4F57,
+        compassLabel: 0xE8EAED,
+        buttonBackground: 'rgba(40, 44, 52, 0.85)',
+        buttonColor: '#E8EAED'
+    },
+    highContrast: {
+        face: 0xFFFFFF,
+        edge: 0xFFFFFF,
+        corner: 0xFFFFFF,
+        hover: 0xFFD400,
+        active: 0x00B0FF,
+        outline: 0x000000,
+        label: 0x000000,
+        compass: 0x000000,
+        compassLabel: 0xFFFFFF,
+        buttonBackground: '#000000',
+        buttonColor: '#FFFFFF'
+    }
+};
+
+/**
+ * Merge color overrides over a base theme
+ * `main` is the legacy color for faces, edges and corners together.
+ * @param {Object} [colors] - Color overrides
+ * @param {Object} [base=THEMES.light] - Theme to start from
+ * @returns {Object} Complete theme colors
+ */
+export function resolveColors(colors = {}, base = THEMES.light) {
+    const { main, ...rest } = colors;
+    return {
+        ...base,
+        ...(main !== undefined ? { face: main, edge: main, corner: main } : {}),
+        ...rest
+    };
+}
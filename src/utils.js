@@ -20,6 +20,21 @@ export function calculateAngleDelta(from, to) {
     return direct;
 }
 
+/**
+ * Create a canvas with the browser's document, or with the given one
+ * Used unless a `createCanvas` option supplies canvases, e.g. a mock canvas under Node.
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Document} [doc] - Document to create the canvas with
+ * @returns {HTMLCanvasElement}
+ */
+export function createCanvas(width, height, doc = document) {
+    const canvas = doc.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
 /**
  * Create a text texture for cube faces
  */
@@ -31,17 +46,23 @@ export function createTextTexture(THREE, text, options = {}) {
         height = 200,
         rotation = 0,
         bgColor = [255, 255, 255, 1.0],
-        fgColor = [0, 0, 0, 1.0]
+        fgColor = [0, 0, 0, 1.0],
+        shape = 'square',
+        createCanvas: create = createCanvas
     } = options;
 
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
+    const canvas = create(width, height);
     const context = canvas.getContext('2d');
 
     // Fill background
     context.fillStyle = `rgba(${bgColor.join(', ')})`;
-    context.fillRect(0, 0, width, height);
+    if (shape === 'circle') {
+        context.beginPath();
+        context.arc(width / 2, height / 2, Math.min(width, height) / 2, 0, 2 * Math.PI);
+        context.fill();
+    } else {
+        context.fillRect(0, 0, width, height);
+    }
 
     // Setup text
     context.font = `bold ${fontSize}px ${font}`;
@@ -61,12 +82,141 @@ export function createTextTexture(THREE, text, options = {}) {
         context.fillText(text, width / 2 - textWidth / 2, height / 2 + fontSize / 2 - 2);
     }
 
+    // Mipmapped (the Texture default) so labels stay smooth when drawn smaller than the canvas
     const texture = new THREE.Texture(canvas);
-    texture.minFilter = THREE.LinearFilter;
     texture.needsUpdate = true;
     return texture;
 }
 
+/**
+ * Create a face label texture
+ * Text is wrapped at spaces and explicit line breaks and shrunk until it fits inside
+ * the padding. Images (elements, canvases, bitmaps or URLs, including SVG) are scaled
+ * to fit; URLs load asynchronously and call `onLoad` with the updated texture.
+ */
+export function createLabelTexture(THREE, label, options = {}) {
+    const {
+        font = 'Arial Narrow, sans-serif',
+        fontSize = 45,
+        minFontSize = 10,
+        lineHeight = 1.1,
+        width = 200,
+        height = 200,
+        padding = 0.08,
+        rotation = 0,
+        bgColor = [255, 255, 255, 1.0],
+        fgColor = [0, 0, 0, 1.0],
+        onLoad = null,
+        createCanvas: create = createCanvas
+    } = options;
+    const { text = '', image = null } = typeof label === 'object' && label !== null ? label : { text: label };
+
+    const canvas = create(width, height);
+    const context = canvas.getContext('2d');
+    const texture = new THREE.Texture(canvas);
+
+    const maxWidth = width * (1 - 2 * padding);
+    const maxHeight = height * (1 - 2 * padding);
+
+    const draw = (content) => {
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = `rgba(${bgColor.join(', ')})`;
+        context.fillRect(0, 0, width, height);
+
+        context.translate(width / 2, height / 2);
+        context.rotate(rotation * DEG_TO_RAD);
+        content();
+        texture.needsUpdate = true;
+    };
+
+    const drawImage = (img) => draw(() => {
+        const imageWidth = img.naturalWidth || img.width;
+        const imageHeight = img.naturalHeight || img.height;
+        const scale = Math.min(maxWidth / imageWidth, maxHeight / imageHeight);
+        context.drawImage(img, -imageWidth * scale / 2, -imageHeight * scale / 2, imageWidth * scale, imageHeight * scale);
+    });
+
+    if (typeof image === 'string') {
+        const img = new Image();
+        img.onload = () => {
+            drawImage(img);
+            if (onLoad) onLoad(texture);
+        };
+        img.src = image;
+        draw(() => {});
+    } else if (image) {
+        drawImage(image);
+    } else {
+        draw(() => {
+            const { lines, size } = fitText(context, String(text), font, fontSize, minFontSize, lineHeight, maxWidth, maxHeight);
+            context.font = `bold ${size}px ${font}`;
+            context.fillStyle = `rgba(${fgColor.join(', ')})`;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            const top = -(lines.length - 1) * size * lineHeight / 2;
+            lines.forEach((line, i) => context.fillText(line, 0, top + i * size * lineHeight));
+        });
+    }
+    return texture;
+}
+
+function fitText(context, text, font, fontSize, minFontSize, lineHeight, maxWidth, maxHeight) {
+    // Prefer shrinking a little over wrapping words, and wrapping words over breaking them
+    const smallest = Math.max(minFontSize, Math.round(fontSize * 0.6));
+    const passes = [
+        { wrap: 'none', from: fontSize, to: smallest },
+        { wrap: 'words', from: fontSize, to: smallest },
+        { wrap: 'characters', from: smallest, to: minFontSize }
+    ];
+    for (const { wrap, from, to } of passes) {
+        for (let size = from; size >= to; size--) {
+            context.font = `bold ${size}px ${font}`;
+            const lines = wrapText(context, text, maxWidth, wrap);
+            const fitsWidth = lines.every(line => context.measureText(line).width <= maxWidth);
+            if (fitsWidth && lines.length * size * lineHeight <= maxHeight) {
+                return { lines, size };
+            }
+        }
+    }
+    context.font = `bold ${minFontSize}px ${font}`;
+    return { lines: wrapText(context, text, maxWidth, 'characters'), size: minFontSize };
+}
+
+function wrapText(context, text, maxWidth, wrap) {
+    // Explicit line breaks always apply; words without spaces (e.g. Japanese) break between characters
+    const lines = [];
+    const pushLine = (line) => {
+        // Any line still too wide, e.g. a single long word, is broken between characters
+        while (wrap === 'characters' && line.length > 1 && context.measureText(line).width > maxWidth) {
+            let end = line.length - 1;
+            while (end > 1 && context.measureText(line.slice(0, end)).width > maxWidth) end--;
+            lines.push(line.slice(0, end));
+            line = line.slice(end);
+        }
+        lines.push(line);
+    };
+
+    for (const paragraph of text.split('\n')) {
+        if (wrap === 'none') {
+            lines.push(paragraph);
+            continue;
+        }
+        let line = '';
+        for (const word of paragraph.split(' ')) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (!line || context.measureText(candidate).width <= maxWidth) {
+                line = candidate;
+            } else {
+                pushLine(line);
+                line = word;
+            }
+        }
+        pushLine(line);
+    }
+    return lines;
+}
+
 /**
  * Easing function for smooth animations (ease-in-out cubic)
  */
@@ -0,0 +1,153 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ViewCube } from '../src/ViewCube.js';
+import { FACES } from '../src/faces.js';
+import { cameraFor, createHeadlessOptions, pointer } from './helpers/dom.js';
+
+const created = [];
+
+function createViewCube(options) {
+    const viewCube = new ViewCube(createHeadlessOptions(options));
+    created.push(viewCube);
+    return viewCube;
+}
+
+// Buttons anywhere under an element, by their accessible name
+function getButtons(element, buttons = {}) {
+    for (const child of element.children) {
+        if (child.tagName === 'BUTTON') buttons[child.getAttribute('aria-label')] = child;
+        getButtons(child, buttons);
+    }
+    return buttons;
+}
+
+afterEach(() => {
+    while (created.length) created.pop().dispose();
+});
+
+describe('ViewCube without a browser', () => {
+    it('draws with the injected renderer and canvases', () => {
+        const options = createHeadlessOptions();
+        const viewCube = new ViewCube(options);
+        created.push(viewCube);
+
+        assert.ok(options.container.contains(options.renderer.domElement), 'the canvas is added to the container');
+        assert.ok(options.container.children.length > 0, 'overlay is added to the container');
+
+        viewCube.update(cameraFor(viewCube.getFaceConfig(FACES.FRONT)));
+        assert.equal(options.renderer.frames, 1);
+        assert.equal(viewCube.needsRender, false);
+
+        viewCube.dispose();
+        created.pop();
+        assert.equal(options.renderer.disposed, true);
+        assert.equal(options.container.children.length, 0);
+    });
+
+    for (const coordinateSystem of ['Y-up', 'Z-up']) {
+        describe(`hit testing in ${coordinateSystem}`, () => {
+            for (const [name, faceId] of Object.entries(FACES)) {
+                it(`clicking the middle of the ${name} view picks ${name}`, () => {
+                    const viewCube = createViewCube({ coordinateSystem });
+                    const config = viewCube.getFaceConfig(faceId);
+                    viewCube.update(cameraFor(config));
+
+                    const clicks = [];
+                    viewCube.on('faceClick', (id, clickedConfig) => clicks.push([id, clickedConfig]));
+                    pointer(viewCube, 'pointerdown', 61, 61);
+                    pointer(viewCube, 'pointerup', 61, 61);
+
+                    assert.equal(clicks.length, 1);
+                    assert.equal(clicks[0][0], faceId);
+                    assert.deepEqual(clicks[0][1], config);
+                    assert.equal(viewCube.getCurrentFace(), faceId);
+                });
+            }
+        });
+    }
+
+    it('emits hover while the pointer moves over the cube', () => {
+        const viewCube = createViewCube({ coordinateSystem: 'Y-up' });
+        viewCube.update(cameraFor(viewCube.getFaceConfig(FACES.FRONT)));
+
+        const hovers = [];
+        viewCube.on('hover', faceId => hovers.push(faceId));
+        pointer(viewCube, 'pointermove', 60, 60);
+        pointer(viewCube, 'pointermove', 62, 62);
+        pointer(viewCube, 'pointermove', 2, 2);
+
+        assert.deepEqual(hovers, [FACES.FRONT, null]);
+    });
+
+    it('emits drag instead of a click once the pointer moved', () => {
+        const viewCube = createViewCube();
+        viewCube.update(cameraFor(viewCube.getFaceConfig(FACES.TOP)));
+
+        const drags = [];
+        let clicked = false;
+        viewCube.on('drag', (dx, dy) => drags.push([dx, dy]));
+        viewCube.on('faceClick', () => {
+            clicked = true;
+        });
+        pointer(viewCube, 'pointerdown', 60, 60);
+        pointer(viewCube, 'pointermove', 70, 55);
+        pointer(viewCube, 'pointermove', 72, 55);
+        pointer(viewCube, 'pointerup', 72, 55);
+
+        assert.deepEqual(drags, [[10, -5], [2, 0]]);
+        assert.equal(clicked, false);
+    });
+
+    it('does not pick a mapped part through an unmapped one', () => {
+        // A wing without a region sits between the viewer and the front
+        const body = new THREE.Mesh(new THREE.BoxGeometry(10, 10, 10), new THREE.MeshBasicMaterial());
+        body.name = 'front';
+        const wing = new THREE.Mesh(new THREE.BoxGeometry(4, 4, 2), new THREE.MeshBasicMaterial());
+        wing.name = 'wing';
+        wing.position.z = 6;
+        const viewCube = createViewCube({ coordinateSystem: 'Y-up', customMesh: new THREE.Group().add(body, wing) });
+        viewCube.update(cameraFor(viewCube.getFaceConfig(FACES.FRONT)));
+
+        const hovers = [];
+        viewCube.on('hover', faceId => hovers.push(faceId));
+        pointer(viewCube, 'pointermove', 61, 61);
+        assert.deepEqual(hovers, []);
+
+        // Beside the wing the front is still pickable
+        pointer(viewCube, 'pointermove', 61, 41);
+        assert.deepEqual(hovers, [FACES.FRONT]);
+    });
+
+    it('names the overlay buttons from strings', () => {
+        const options = createHeadlessOptions({
+            homeButton: true,
+            projectionButton: true,
+            strings: { home: 'Startansicht', rollClockwise: 'Im Uhrzeigersinn rollen' }
+        });
+        created.push(new ViewCube(options));
+
+        const buttons = getButtons(options.container);
+        assert.ok(buttons['Startansicht']);
+        assert.ok(buttons['Toggle perspective/orthographic']);
+        assert.equal(buttons['Im Uhrzeigersinn rollen'].title, 'Im Uhrzeigersinn rollen');
+        assert.equal(buttons['Rotate up'].title, 'Rotate up');
+        assert.equal(buttons['Home'], undefined);
+    });
+
+    it('stops emitting to removed listeners', () => {
+        const viewCube = createViewCube();
+        viewCube.update(cameraFor(viewCube.getFaceConfig(FACES.RIGHT)));
+
+        let count = 0;
+        const listener = () => count++;
+        viewCube.on('faceClick', listener);
+        pointer(viewCube, 'pointerdown', 60, 60);
+        pointer(viewCube, 'pointerup', 60, 60);
+        viewCube.off('faceClick', listener);
+        pointer(viewCube, 'pointerdown', 60, 60);
+        pointer(viewCube, 'pointerup', 60, 60);
+
+        assert.equal(count, 1);
+    });
+});
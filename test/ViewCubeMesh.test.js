@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ViewCubeMesh } from '../src/ViewCubeMesh.js';
+import { ViewCubeResources } from '../src/ViewCubeResources.js';
+import { FACES, getFaceConfigs, getFaceName, getFaceType } from '../src/faces.js';
+import { createCanvas } from './helpers/dom.js';
+
+const COORDINATE_SYSTEMS = {
+    'Y-up': 'Y-up',
+    'Z-up': 'Z-up',
+    'left-handed Z-up': { up: { x: 0, y: 0, z: 1 }, front: { x: 0, y: -1, z: 0 }, handedness: 'left' }
+};
+
+function getRegionIds(cube) {
+    const ids = new Set();
+    cube.traverse(obj => {
+        if (obj.userData.faceId !== undefined) ids.add(obj.userData.faceId);
+    });
+    return ids;
+}
+
+describe('ViewCubeMesh', () => {
+    for (const style of ['flat', 'chamfered', 'rounded']) {
+        it(`has a region for every face ID in the ${style} style`, () => {
+            const cube = new ViewCubeMesh({ style, createCanvas });
+            assert.deepEqual([...getRegionIds(cube)].sort((a, b) => a - b), Object.values(FACES).sort((a, b) => a - b));
+            cube.dispose();
+        });
+    }
+
+    for (const style of ['chamfered', 'rounded']) {
+        it(`closes the ${style} cube without pickable edges and corners`, () => {
+            const cube = new ViewCubeMesh({ style, showEdges: false, showCorners: false, createCanvas, colors: { face: 0x123456 } });
+            assert.ok([...getRegionIds(cube)].every(faceId => getFaceType(faceId) === 'face'));
+
+            const fills = cube.children.filter(obj => obj.userData.fill);
+            assert.equal(fills.length, 20);
+            cube.setColors({ face: 0x654321 });
+            assert.ok(fills.every(obj => obj.material.color.getHex() === 0x654321));
+            cube.dispose();
+        });
+    }
+
+    for (const [label, coordinateSystem] of Object.entries(COORDINATE_SYSTEMS)) {
+        describe(`setQuaternion in ${label}`, () => {
+            const cube = new ViewCubeMesh({ coordinateSystem, createCanvas });
+            const configs = getFaceConfigs(coordinateSystem);
+
+            for (const [name, faceId] of Object.entries(FACES)) {
+                it(`turns ${name} towards the viewer`, () => {
+                    const { x, y, z, w } = configs[faceId].quaternion;
+                    cube.setQuaternion(new THREE.Quaternion(x, y, z, w));
+
+                    // The viewer looks down -Z, so the region must sit on the +Z side
+                    const center = cube.getRegionCenter(faceId).normalize();
+                    assert.ok(center.z > 0.999, `${name} center points to ${center.toArray()}`);
+                });
+            }
+        });
+    }
+
+    it('highlights the hovered region only', () => {
+        const cube = new ViewCubeMesh({ createCanvas, colors: { main: 0x111111, hover: 0x222222 } });
+        cube.setHover(FACES.TOP_FRONT_EDGE);
+        cube.traverse(obj => {
+            const faceId = obj.userData.faceId;
+            if (faceId === undefined) return;
+            const expected = faceId === FACES.TOP_FRONT_EDGE ? 0x222222 : 0x111111;
+            assert.equal(obj.material.color.getHex(), expected, getFaceName(faceId));
+        });
+        cube.clearHover();
+        cube.dispose();
+    });
+
+    it('maps named parts of a custom mesh to face IDs', () => {
+        const roof = new THREE.Mesh(new THREE.BoxGeometry(10, 2, 10), new THREE.MeshBasicMaterial({ color: 0x884422 }));
+        roof.name = 'roof';
+        roof.position.y = 6;
+        const walls = new THREE.Mesh(new THREE.BoxGeometry(10, 10, 10), new THREE.MeshBasicMaterial());
+        walls.name = 'front';
+        const building = new THREE.Group().add(roof, walls);
+
+        const cube = new ViewCubeMesh({
+            coordinateSystem: 'Y-up',
+            mesh: building,
+            regions: { roof: FACES.TOP },
+            createCanvas
+        });
+        assert.deepEqual([...getRegionIds(cube)].sort(), [FACES.TOP, FACES.FRONT].sort());
+
+        // Highlighting works on copies of the materials
+        cube.setHover(FACES.TOP);
+        assert.equal(roof.material.color.getHex(), 0x884422);
+        cube.clearHover();
+        const copy = cube.getObjectByName('roof');
+        assert.notEqual(copy.material, roof.material);
+        assert.equal(copy.material.color.getHex(), 0x884422);
+
+        assert.throws(() => new ViewCubeMesh({ mesh: building, regions: { roof: 99 }, createCanvas }), /unknown face ID/);
+        cube.dispose();
+    });
+
+    it('tells every cube sharing a label texture when its image loads', () => {
+        // Node has no Image; keep the pending loads to finish them by hand
+        const pending = [];
+        const previousImage = globalThis.Image;
+        globalThis.Image = class {
+            constructor() {
+                this.width = 16;
+                this.height = 16;
+                pending.push(this);
+            }
+        };
+
+        try {
+            const resources = new ViewCubeResources();
+            const labels = { top: { image: '/icons/roof.svg' } };
+            const cubes = [
+                new ViewCubeMesh({ labels, resources, createCanvas }),
+                new ViewCubeMesh({ labels, resources, createCanvas })
+            ];
+            assert.equal(pending.length, 1, 'the image is loaded once for both cubes');
+
+            const changes = [0, 0];
+            cubes.forEach((cube, i) => cube.addEventListener('change', () => changes[i]++));
+            pending[0].onload();
+            assert.deepEqual(changes, [1, 1]);
+
+            // A disposed cube no longer hears about the texture
+            cubes[0].dispose();
+            pending[0].onload();
+            assert.deepEqual(changes, [1, 2]);
+            cubes[1].dispose();
+        } finally {
+            globalThis.Image = previousImage;
+        }
+    });
+
+    it('rejects unknown styles', () => {
+        assert.throws(() => new ViewCubeMesh({ style: 'bubbly', createCanvas }), /unknown cube style/);
+    });
+});
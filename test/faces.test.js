@@ -0,0 +1,178 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+    FACES,
+    getAxes,
+    getFaceConfigs,
+    getFaceDirection,
+    getFaceName,
+    getFaceType,
+    getReadableFaceName,
+    getUpVector,
+    mirrorFaceId
+} from '../src/faces.js';
+
+const EPSILON = 1e-6;
+
+// World directions of the words in face names, written out independently of faces.js
+const WORLD_AXES = {
+    'Y-up': {
+        RIGHT: [1, 0, 0], LEFT: [-1, 0, 0],
+        TOP: [0, 1, 0], BOTTOM: [0, -1, 0],
+        FRONT: [0, 0, 1], BACK: [0, 0, -1]
+    },
+    'Z-up': {
+        RIGHT: [1, 0, 0], LEFT: [-1, 0, 0],
+        TOP: [0, 0, 1], BOTTOM: [0, 0, -1],
+        FRONT: [0, -1, 0], BACK: [0, 1, 0]
+    }
+};
+
+const ENTRIES = Object.entries(FACES);
+
+function expectedDirection(name, coordinateSystem) {
+    const direction = new THREE.Vector3();
+    for (const word of name.split('_')) {
+        const axis = WORLD_AXES[coordinateSystem][word];
+        if (axis) direction.add(new THREE.Vector3(...axis));
+    }
+    return direction.normalize();
+}
+
+function toVector3(v) {
+    return new THREE.Vector3(v.x, v.y, v.z);
+}
+
+function assertVector(actual, expected, message) {
+    assert.ok(toVector3(actual).distanceTo(expected) < EPSILON,
+        `${message}: expected ${expected.toArray()}, got ${[actual.x, actual.y, actual.z]}`);
+}
+
+describe('FACES', () => {
+    it('has 6 faces, 12 edges and 8 corners with unique IDs', () => {
+        const ids = Object.values(FACES);
+        assert.equal(new Set(ids).size, 26);
+        assert.deepEqual([...ids].sort((a, b) => a - b), Array.from({ length: 26 }, (_, i) => i + 1));
+
+        const types = ids.map(getFaceType);
+        assert.equal(types.filter(type => type === 'face').length, 6);
+        assert.equal(types.filter(type => type === 'edge').length, 12);
+        assert.equal(types.filter(type => type === 'corner').length, 8);
+    });
+
+    for (const [name, faceId] of ENTRIES) {
+        it(`${name} round-trips through getFaceName`, () => {
+            assert.equal(getFaceName(faceId), name);
+        });
+    }
+
+    it('returns UNKNOWN for IDs that are not faces', () => {
+        assert.equal(getFaceName(0), 'UNKNOWN');
+        assert.equal(getFaceName(27), 'UNKNOWN');
+    });
+});
+
+describe('getAxes', () => {
+    for (const coordinateSystem of ['Y-up', 'Z-up']) {
+        it(`gives right-handed unit axes for ${coordinateSystem}`, () => {
+            const axes = getAxes(coordinateSystem);
+            const expected = WORLD_AXES[coordinateSystem];
+            assertVector(axes.right, new THREE.Vector3(...expected.RIGHT), 'right');
+            assertVector(axes.up, new THREE.Vector3(...expected.TOP), 'up');
+            assertVector(axes.front, new THREE.Vector3(...expected.FRONT), 'front');
+            assert.equal(axes.handedness, 'right');
+            assertVector(getUpVector(coordinateSystem), new THREE.Vector3(...expected.TOP), 'getUpVector');
+        });
+    }
+
+    it('treats a mirrored right axis as left-handed', () => {
+        const axes = getAxes({ up: { x: 0, y: 0, z: 1 }, front: { x: 0, y: -1, z: 0 }, handedness: 'left' });
+        assert.equal(axes.handedness, 'left');
+        assertVector(axes.right, new THREE.Vector3(-1, 0, 0), 'right');
+    });
+
+    it('rejects parallel up and front', () => {
+        assert.throws(() => getAxes({ up: { x: 0, y: 0, z: 1 }, front: { x: 0, y: 0, z: 2 } }), /parallel/);
+    });
+});
+
+for (const coordinateSystem of ['Y-up', 'Z-up']) {
+    describe(`${coordinateSystem} face configurations`, () => {
+        const distance = 100;
+        const configs = getFaceConfigs(coordinateSystem, distance);
+        const { up, front } = getAxes(coordinateSystem);
+
+        it('has a configuration for every face ID', () => {
+            assert.deepEqual(Object.keys(configs).map(Number).sort((a, b) => a - b),
+                Object.values(FACES).sort((a, b) => a - b));
+        });
+
+        for (const [name, faceId] of ENTRIES) {
+            it(`${name} looks at the origin from its side`, () => {
+                const expected = expectedDirection(name, coordinateSystem);
+                const config = configs[faceId];
+
+                assertVector(getFaceDirection(faceId, coordinateSystem), expected, 'getFaceDirection');
+                assertVector(config.position, expected.clone().multiplyScalar(distance), 'position');
+                assertVector(config.offset, expected.clone().multiplyScalar(distance), 'offset');
+                assertVector(config.direction, expected.clone().negate(), 'direction');
+                assertVector(config.lookAt, new THREE.Vector3(), 'lookAt');
+
+                // The number of name words matches the number of axes the direction uses
+                const usedAxes = expected.toArray().filter(c => Math.abs(c) > EPSILON).length;
+                assert.equal(usedAxes, { face: 1, edge: 2, corner: 3 }[getFaceType(faceId)]);
+            });
+
+            it(`${name} has an up vector at right angles to the view`, () => {
+                const config = configs[faceId];
+                const cameraUp = toVector3(config.up);
+                assert.ok(Math.abs(cameraUp.length() - 1) < EPSILON);
+                assert.ok(Math.abs(cameraUp.dot(toVector3(config.direction))) < EPSILON);
+
+                if (name === 'TOP') {
+                    // Looking down, FRONT is at the bottom of the screen
+                    assertVector(config.up, toVector3(front).negate(), 'up');
+                } else if (name === 'BOTTOM') {
+                    assertVector(config.up, toVector3(front), 'up');
+                } else {
+                    assert.ok(cameraUp.dot(toVector3(up)) > EPSILON, 'up points upwards');
+                }
+            });
+
+            it(`${name} has a quaternion matching direction and up`, () => {
+                const config = configs[faceId];
+                const q = config.quaternion;
+                const quaternion = new THREE.Quaternion(q.x, q.y, q.z, q.w);
+                assertVector(new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion), toVector3(config.direction), 'view');
+                assertVector(new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion), toVector3(config.up), 'up');
+            });
+        }
+    });
+}
+
+describe('mirrorFaceId', () => {
+    for (const [name, faceId] of ENTRIES) {
+        it(`mirrors ${name} across the left/right axis`, () => {
+            const mirrored = mirrorFaceId(faceId);
+            assert.equal(mirrorFaceId(mirrored), faceId);
+            assert.equal(getFaceType(mirrored), getFaceType(faceId));
+
+            const direction = toVector3(getFaceDirection(faceId, 'Y-up'));
+            direction.x = -direction.x;
+            assertVector(getFaceDirection(mirrored, 'Y-up'), direction, 'direction');
+        });
+    }
+});
+
+describe('getReadableFaceName', () => {
+    it('joins the words of a name', () => {
+        assert.equal(getReadableFaceName(FACES.TOP), 'Top');
+        assert.equal(getReadableFaceName(FACES.FRONT_LEFT_EDGE), 'Front-Left');
+        assert.equal(getReadableFaceName(FACES.BOTTOM_BACK_RIGHT_CORNER), 'Bottom-Back-Right');
+    });
+
+    it('uses localized words', () => {
+        assert.equal(getReadableFaceName(FACES.TOP_FRONT_EDGE, { TOP: 'Oben', FRONT: 'Vorne' }), 'Oben-Vorne');
+    });
+});
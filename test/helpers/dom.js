@@ -0,0 +1,196 @@
+/**
+ * Minimal DOM, canvas and renderer stand-ins for running ViewCube under Node
+ */
+
+import * as THREE from 'three';
+
+// Records nothing and draws nothing, but answers what the label code asks for
+function createContext2D() {
+    const context = {
+        measureText: text => ({ width: String(text).length * 10 })
+    };
+    return new Proxy(context, {
+        get: (target, key) => (key in target ? target[key] : () => {})
+    });
+}
+
+export function createCanvas(width = 0, height = 0) {
+    const canvas = createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext = () => createContext2D();
+    return canvas;
+}
+
+export function createElement(tagName, document = null) {
+    const listeners = {};
+    const attributes = new Map();
+    const classes = new Set();
+    const captures = new Set();
+
+    const element = {
+        nodeType: 1,
+        tagName: tagName.toUpperCase(),
+        ownerDocument: document,
+        parentNode: null,
+        children: [],
+        style: {
+            setProperty(name, value) {
+                this[name] = value;
+            },
+            removeProperty(name) {
+                delete this[name];
+            }
+        },
+        dataset: {},
+        classList: {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            contains: name => classes.has(name),
+            toggle: (name, force = !classes.has(name)) => (force ? classes.add(name) : classes.delete(name), force)
+        },
+        rect: { left: 0, top: 0, width: 120, height: 120 },
+        appendChild(child) {
+            if (child.parentNode) child.parentNode.removeChild(child);
+            this.children.push(child);
+            child.parentNode = this;
+            return child;
+        },
+        insertBefore(child, reference) {
+            const index = this.children.indexOf(reference);
+            this.children.splice(index === -1 ? this.children.length : index, 0, child);
+            child.parentNode = this;
+            return child;
+        },
+        removeChild(child) {
+            this.children = this.children.filter(c => c !== child);
+            child.parentNode = null;
+            return child;
+        },
+        contains(other) {
+            return other === this || this.children.some(child => child.contains(other));
+        },
+        get firstChild() {
+            return this.children[0] || null;
+        },
+        setAttribute: (name, value) => attributes.set(name, String(value)),
+        getAttribute: name => (attributes.has(name) ? attributes.get(name) : null),
+        removeAttribute: name => attributes.delete(name),
+        hasAttribute: name => attributes.has(name),
+        addEventListener(type, listener) {
+            (listeners[type] = listeners[type] || []).push(listener);
+        },
+        removeEventListener(type, listener) {
+            listeners[type] = (listeners[type] || []).filter(l => l !== listener);
+        },
+        dispatchEvent(event) {
+            for (const listener of [...(listeners[event.type] || [])]) {
+                listener(event);
+            }
+        },
+        getBoundingClientRect() {
+            const { left, top, width, height } = this.rect;
+            return { left, top, width, height, right: left + width, bottom: top + height, x: left, y: top };
+        },
+        focus() {
+            if (document) document.activeElement = this;
+            this.dispatchEvent({ type: 'focus' });
+        },
+        blur() {
+            this.dispatchEvent({ type: 'blur' });
+        },
+        setPointerCapture: id => captures.add(id),
+        hasPointerCapture: id => captures.has(id),
+        releasePointerCapture: id => captures.delete(id),
+        querySelectorAll: () => []
+    };
+    return element;
+}
+
+export function createDocument() {
+    const document = {
+        activeElement: null,
+        defaultView: null,
+        createElement: tagName => (tagName === 'canvas' ? createCanvas() : createElement(tagName, document)),
+        getElementById: () => null,
+        addEventListener() {},
+        removeEventListener() {}
+    };
+    document.head = createElement('head', document);
+    document.body = createElement('body', document);
+    return document;
+}
+
+/**
+ * A stand-in for WebGLRenderer: keeps the scene's matrices current like the real one
+ * and counts the frames it was asked to draw
+ */
+export function createRenderer(document) {
+    const domElement = document.createElement('canvas');
+    domElement.ownerDocument = document;
+    return {
+        domElement,
+        capabilities: { getMaxAnisotropy: () => 1 },
+        frames: 0,
+        disposed: false,
+        setPixelRatio() {},
+        setSize(width, height) {
+            domElement.rect = { ...domElement.rect, width, height };
+        },
+        setClearColor() {},
+        render(scene, camera) {
+            scene.updateMatrixWorld();
+            camera.updateMatrixWorld();
+            this.frames++;
+        },
+        dispose() {
+            this.disposed = true;
+        }
+    };
+}
+
+/**
+ * Options for a ViewCube that runs without a browser
+ */
+export function createHeadlessOptions(options = {}) {
+    const document = createDocument();
+    const container = createElement('div', document);
+    return {
+        container,
+        document,
+        renderer: createRenderer(document),
+        createCanvas,
+        ...options
+    };
+}
+
+/**
+ * Dispatch a pointer event at a point of the cube's canvas
+ */
+export function pointer(viewCube, type, x, y, props = {}) {
+    const surface = viewCube._surface;
+    const rect = surface.getBoundingClientRect();
+    surface.dispatchEvent({
+        type,
+        clientX: rect.left + x,
+        clientY: rect.top + y,
+        pointerId: 1,
+        pointerType: 'mouse',
+        button: 0,
+        preventDefault() {},
+        stopPropagation() {},
+        ...props
+    });
+}
+
+/**
+ * A camera looking at the origin from a face configuration
+ */
+export function cameraFor(config) {
+    const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 1000);
+    camera.position.set(config.position.x, config.position.y, config.position.z);
+    camera.up.set(config.up.x, config.up.y, config.up.z);
+    camera.quaternion.set(config.quaternion.x, config.quaternion.y, config.quaternion.z, config.quaternion.w);
+    camera.updateMatrixWorld();
+    return camera;
+}
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createCanvas, createLabelTexture } from '../src/utils.js';
+import { createDocument, createElement } from './helpers/dom.js';
+
+// 10px per character at any font size, recording the text drawn
+function createRecordingCanvas(width, height) {
+    const drawn = [];
+    const context = new Proxy({
+        measureText: text => ({ width: String(text).length * 10 }),
+        fillText: text => drawn.push(text)
+    }, {
+        get: (target, key) => (key in target ? target[key] : () => {})
+    });
+    const canvas = createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext = () => context;
+    canvas.drawn = drawn;
+    return canvas;
+}
+
+describe('createLabelTexture', () => {
+    it('keeps text inside the padding', () => {
+        let canvas = null;
+        createLabelTexture(THREE, 'Front', {
+            createCanvas: (width, height) => (canvas = createRecordingCanvas(width, height))
+        });
+        assert.deepEqual(canvas.drawn, ['Front']);
+    });
+
+    it('breaks an overlong first word between characters', () => {
+        let canvas = null;
+        createLabelTexture(THREE, 'Donaudampfschifffahrtsgesellschaft Kapitän', {
+            width: 200,
+            padding: 0.08,
+            createCanvas: (width, height) => (canvas = createRecordingCanvas(width, height))
+        });
+
+        const maxWidth = 200 * (1 - 2 * 0.08);
+        assert.ok(canvas.drawn.length > 2);
+        for (const line of canvas.drawn) {
+            assert.ok(line.length * 10 <= maxWidth, `'${line}' is wider than the label`);
+        }
+        assert.equal(canvas.drawn.join(''), 'DonaudampfschifffahrtsgesellschaftKapitän');
+    });
+});
+
+describe('createCanvas', () => {
+    it('creates the canvas with the given document', () => {
+        const canvas = createCanvas(64, 32, createDocument());
+        assert.equal(canvas.tagName, 'CANVAS');
+        assert.deepEqual([canvas.width, canvas.height], [64, 32]);
+    });
+});
@@ -1,60 +1,447 @@
 import * as THREE from 'three';
 
+export interface OrbitOptions {
+    mode?: 'turntable' | 'trackball';
+    speed?: number;
+    invertX?: boolean;
+    invertY?: boolean;
+    inertia?: boolean;
+    damping?: number;
+}
+
+export interface AxisDescription {
+    up: { x: number; y: number; z: number };
+    front?: { x: number; y: number; z: number };
+    forward?: { x: number; y: number; z: number };
+    right?: { x: number; y: number; z: number };
+    handedness?: 'right' | 'left';
+}
+
+export type CoordinateSystem = 'Y-up' | 'Z-up' | AxisDescription | THREE.Matrix3 | THREE.Matrix4;
+
+export interface CompassOptions {
+    north?: number;
+    color?: number;
+    labelColor?: number;
+}
+
+export type CompassLetter = 'N' | 'E' | 'S' | 'W';
+
+export interface Viewport {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+export interface AxisColors {
+    x?: number;
+    y?: number;
+    z?: number;
+}
+
+export interface AxisTriadOptions {
+    /** Corner face ID the triad starts at */
+    corner?: number;
+    length?: number;
+    colors?: AxisColors;
+}
+
+export interface LabelOptions {
+    text?: string;
+    /** Image element, canvas, bitmap or URL (SVG works too) */
+    image?: string | CanvasImageSource;
+    font?: string;
+    fontSize?: number;
+    color?: number | string;
+}
+
+export type Label = string | LabelOptions;
+
+export interface FaceLabels {
+    top?: Label;
+    bottom?: Label;
+    front?: Label;
+    back?: Label;
+    left?: Label;
+    right?: Label;
+}
+
+export interface FaceNameStrings {
+    TOP?: string;
+    BOTTOM?: string;
+    FRONT?: string;
+    BACK?: string;
+    LEFT?: string;
+    RIGHT?: string;
+}
+
+export interface ViewCubeStrings extends FaceNameStrings {
+    cube?: string;
+    instructions?: string;
+    /** '{name}' is replaced by the readable view name */
+    currentView?: string;
+    menuHome?: string;
+    menuSetHome?: string;
+    menuPerspective?: string;
+    menuOrthographic?: string;
+    menuFit?: string;
+    menuResetOrientation?: string;
+    menuLock?: string;
+    move?: string;
+    home?: string;
+    projection?: string;
+    rotateUp?: string;
+    rotateRight?: string;
+    rotateDown?: string;
+    rotateLeft?: string;
+    rollCounterclockwise?: string;
+    rollClockwise?: string;
+}
+
+export type MenuAction = 'home' | 'setHome' | 'perspective' | 'orthographic' | 'fit' | 'resetOrientation' | 'lock';
+
+export interface MenuItem {
+    id: string;
+    label: string;
+    /** Items with `checked` show a check mark */
+    checked?: boolean | ((faceId: number | null) => boolean);
+    disabled?: boolean | ((faceId: number | null) => boolean);
+    /** Replaces the built-in behavior; menuSelect is emitted either way */
+    onSelect?: (faceId: number | null) => void;
+}
+
+export interface ContextMenuOptions {
+    /** Built-in actions, custom items and '-' separators */
+    items?: Array<MenuAction | MenuItem | '-'>;
+    className?: string;
+}
+
+export type ThemeName = 'light' | 'dark' | 'highContrast' | 'auto';
+
+export interface ThemeColors {
+    /** Legacy color for faces, edges and corners together */
+    main?: number;
+    face?: number;
+    edge?: number;
+    corner?: number;
+    hover?: number;
+    active?: number;
+    outline?: number;
+    label?: number;
+    compass?: number;
+    compassLabel?: number;
+    buttonBackground?: string;
+    buttonColor?: string;
+}
+
+export type Corner = 'top-right' | 'top-left' | 'bottom-right' | 'bottom-left';
+
+/** Numbers are pixels */
+export interface Insets {
+    top?: number | string;
+    right?: number | string;
+    bottom?: number | string;
+    left?: number | string;
+}
+
+export type ViewCubePosition = Corner | Insets | HTMLElement;
+
+export interface OpacityOptions {
+    inactive?: number;
+    hover?: number;
+    drag?: number;
+}
+
+export interface ResponsiveOptions {
+    /** Fraction of the container's shorter side */
+    scale?: number;
+    minSize?: number;
+    maxSize?: number;
+}
+
+export interface DraggableOptions {
+    /** localStorage key remembering the corner, null (the default) to not remember it; one per cube */
+    storageKey?: string | null;
+}
+
+export type CubeStyle = 'flat' | 'chamfered' | 'rounded';
+
+/** Object names mapped to the face IDs they pick */
+export type MeshRegions = Record<string, number>;
+
+export interface CustomMeshOptions {
+    /** Model in world coordinates, scaled to cubeSize */
+    object: THREE.Object3D;
+    regions?: MeshRegions;
+}
+
+/** What the cube needs from its renderer; a THREE.WebGLRenderer or a stand-in, e.g. under Node */
+export interface ViewCubeRenderer {
+    domElement: HTMLElement;
+    capabilities?: { getMaxAnisotropy(): number };
+    setPixelRatio(pixelRatio: number): void;
+    setSize(width: number, height: number): void;
+    setClearColor(color: THREE.ColorRepresentation, alpha?: number): void;
+    render(scene: THREE.Object3D, camera: THREE.Camera): void;
+    dispose(): void;
+}
+
+export type CanvasFactory = (width: number, height: number) => HTMLCanvasElement | OffscreenCanvas;
+
 export interface ViewCubeOptions {
     container: HTMLElement;
     size?: number;
-    position?: 'top-right' | 'top-left' | 'bottom-right' | 'bottom-left';
-    coordinateSystem?: 'Y-up' | 'Z-up';
+    position?: ViewCubePosition;
+    offset?: number | { x?: number; y?: number };
+    /** 'auto' makes a static container relative, false leaves it alone */
+    containerPosition?: string | false;
+    responsive?: ResponsiveOptions | boolean;
+    draggable?: DraggableOptions | boolean;
+    coordinateSystem?: CoordinateSystem;
     cubeSize?: number;
     edgeSize?: number;
+    cubeStyle?: CubeStyle;
+    customMesh?: THREE.Object3D | CustomMeshOptions | null;
     cameraDistance?: number;
+    bounds?: Bounds | null;
+    fitPadding?: number;
     showOutline?: boolean;
     showEdges?: boolean;
     showCorners?: boolean;
-    colors?: {
-        main?: number;
-        hover?: number;
-        outline?: number;
-    };
-    labels?: {
-        top?: string;
-        bottom?: string;
-        front?: string;
-        back?: string;
-        left?: string;
-        right?: string;
+    orbit?: OrbitOptions | false;
+    dragThreshold?: number;
+    longPressDelay?: number;
+    contextMenu?: ContextMenuOptions | boolean;
+    homeButton?: boolean;
+    projectionButton?: boolean;
+    showArrows?: boolean;
+    tooltip?: boolean;
+    /** A number sets the inactive opacity */
+    opacity?: number | OpacityOptions;
+    fadeDuration?: number;
+    /** Seconds without camera movement before fading out, 0 to never hide */
+    autoHide?: number;
+    compass?: CompassOptions | boolean;
+    axisColors?: AxisColors | boolean;
+    axisTriad?: AxisTriadOptions | boolean;
+    hostRenderer?: boolean;
+    /** Used instead of a new WebGLRenderer and disposed with the cube */
+    renderer?: ViewCubeRenderer;
+    createCanvas?: CanvasFactory;
+    /** Defaults to the container's document */
+    document?: Document;
+    resources?: ViewCubeResources;
+    theme?: ThemeName | ThemeColors;
+    keyboard?: boolean;
+    strings?: ViewCubeStrings;
+    pixelRatio?: number | 'auto';
+    labelResolution?: number | 'auto';
+    home?: {
+        position: { x: number; y: number; z: number };
+        target?: { x: number; y: number; z: number };
+        up?: { x: number; y: number; z: number };
     };
+    colors?: ThemeColors;
+    labels?: FaceLabels;
     font?: {
         family?: string;
         size?: number;
     };
 }
 
+export interface Vector3Like {
+    x: number;
+    y: number;
+    z: number;
+}
+
 export interface FaceConfig {
-    position: { x: number; y: number; z: number };
-    up: { x: number; y: number; z: number };
-    lookAt: { x: number; y: number; z: number };
+    /** Unit view direction, from the camera towards the target */
+    direction: Vector3Like;
+    /** Camera position relative to the target */
+    offset: Vector3Like;
+    /** Camera position when the target is the origin (same as offset) */
+    position: Vector3Like;
+    /** Camera up vector, orthogonal to direction */
+    up: Vector3Like;
+    /** Point the camera looks at (the origin) */
+    lookAt: Vector3Like;
+    /** Camera orientation */
+    quaternion: { x: number; y: number; z: number; w: number };
+}
+
+export interface Axes {
+    right: Vector3Like;
+    up: Vector3Like;
+    front: Vector3Like;
+    handedness: 'right' | 'left';
 }
 
 export type FaceClickHandler = (faceId: number, config: FaceConfig) => void;
 export type DragHandler = (deltaX: number, deltaY: number) => void;
+export interface HomeView {
+    position: { x: number; y: number; z: number };
+    target: { x: number; y: number; z: number };
+    up: { x: number; y: number; z: number };
+}
+
+export type HomeHandler = (home: HomeView) => void;
+export type ArrowDirection = 'up' | 'down' | 'left' | 'right';
+export type RollDirection = 'clockwise' | 'counterclockwise';
+export type ArrowClickHandler = (direction: ArrowDirection, faceId: number, config: FaceConfig) => void;
+export type RollHandler = (direction: RollDirection, faceId: number, config: FaceConfig) => void;
+export type CompassRotateHandler = (angle: number) => void;
+export type AxisClickHandler = (faceId: number | null, config: FaceConfig, axis: 'x' | 'y' | 'z') => void;
+export type CompassClickHandler = (letter: CompassLetter, heading: { x: number; y: number; z: number }, config: FaceConfig) => void;
+export type ViewChangeHandler = (faceId: number | null, config: FaceConfig | null) => void;
+export type Projection = 'perspective' | 'orthographic';
+export type ProjectionChangeHandler = (projection: Projection, camera: THREE.Camera | null, previousCamera: THREE.Camera | null) => void;
+export type Bounds = THREE.Box3 | THREE.Sphere | THREE.Object3D | Array<THREE.Box3 | THREE.Sphere | THREE.Object3D>;
+export type HoverHandler = (faceId: number | null, config: FaceConfig | null) => void;
+export type PositionChangeHandler = (position: Corner) => void;
+export type FitHandler = (sphere: THREE.Sphere) => void;
+export type ContextMenuHandler = (faceId: number | null, point: { x: number; y: number }) => void;
+export type MenuSelectHandler = (id: MenuAction | string, faceId: number | null) => void;
+export type LockChangeHandler = (locked: boolean, faceId: number | null) => void;
+export type OrientationResetHandler = (faceId: number | null, config: FaceConfig) => void;
+export type TransitionStartHandler = (faceId: number | null, config: FaceConfig | null) => void;
+export type TransitionEndHandler = (faceId: number | null, config: FaceConfig | null, cancelled: boolean) => void;
+
+export class EventEmitter {
+    on(event: string, callback: (...args: any[]) => void): this;
+    off(event: string, callback: (...args: any[]) => void): this;
+}
 
-export class ViewCube {
+export interface ViewCubeControllerOptions {
+    duration?: number;
+    coordinateSystem?: CoordinateSystem;
+    orbit?: OrbitOptions;
+}
+
+export interface CameraPose {
+    target: THREE.Vector3;
+    quaternion: THREE.Quaternion;
+    distance: number;
+    zoom?: number;
+}
+
+export class ViewCubeController extends EventEmitter {
+    constructor(camera: THREE.Camera, controls?: any, options?: ViewCubeControllerOptions);
+
+    camera: THREE.Camera;
+    controls: any;
+    readonly isAnimating: boolean;
+
+    getTarget(target?: THREE.Vector3): THREE.Vector3;
+    animateTo(config: FaceConfig, faceId?: number | null): void;
+    animateToPose(pose: CameraPose, faceId?: number | null, config?: FaceConfig | null): void;
+    fitTo(sphere: THREE.Sphere, options?: { config?: FaceConfig | null; faceId?: number | null; padding?: number }): void;
+    cancel(): void;
+    getProjection(): Projection;
+    setProjection(projection: Projection): THREE.Camera;
+    startRotate(): void;
+    rotate(deltaX: number, deltaY: number): void;
+    rotateAroundUp(angle: number): void;
+    endRotate(): void;
+    update(time?: number): void;
+    dispose(): void;
+
+    on(event: 'transitionStart', callback: TransitionStartHandler): this;
+    on(event: 'transitionEnd', callback: TransitionEndHandler): this;
+    off(event: 'transitionStart', callback: TransitionStartHandler): this;
+    off(event: 'transitionEnd', callback: TransitionEndHandler): this;
+    on(event: 'projectionChange', callback: ProjectionChangeHandler): this;
+    off(event: 'projectionChange', callback: ProjectionChangeHandler): this;
+}
+
+export class ViewCube extends EventEmitter {
     constructor(options: ViewCubeOptions);
 
-    update(camera: THREE.Camera): void;
+    update(camera?: THREE.Camera): void;
+    renderInto(renderer: THREE.WebGLRenderer | any, viewport?: Viewport): void;
+    readonly needsRender: boolean;
+    invalidate(): void;
+    setVisible(visible: boolean): void;
+    isVisible(): boolean;
+
+    attachCamera(camera: THREE.Camera, controls?: any, options?: ViewCubeControllerOptions): ViewCubeController;
+    detachCamera(): void;
+    cancelTransition(): void;
+    navigateTo(faceId: number): void;
+    setBounds(bounds: Bounds | null): void;
+    getBounds(): Bounds | null;
+    fitToView(bounds?: Bounds): void;
+
+    setHome(camera?: THREE.Camera, target?: THREE.Vector3): HomeView;
+    getHome(): HomeView;
+    goHome(): void;
+
+    getProjection(): Projection;
+    toggleProjection(projection?: Projection): void;
+
+    resetOrientation(): void;
+    setLocked(locked: boolean): void;
+    isLocked(): boolean;
+
+    addMenuItem(item: MenuAction | MenuItem | '-', index?: number): void;
+    removeMenuItem(id: string): void;
+    closeMenu(): void;
+
+    setTheme(theme: ThemeName | ThemeColors): void;
+    setLabels(labels: FaceLabels): void;
+    getTheme(): Required<Omit<ThemeColors, 'main'>>;
 
     on(event: 'faceClick', callback: FaceClickHandler): this;
     on(event: 'drag', callback: DragHandler): this;
+    on(event: 'transitionStart', callback: TransitionStartHandler): this;
+    on(event: 'transitionEnd', callback: TransitionEndHandler): this;
+    on(event: 'contextMenu', callback: ContextMenuHandler): this;
+    on(event: 'menuSelect', callback: MenuSelectHandler): this;
+    on(event: 'lockChange', callback: LockChangeHandler): this;
+    on(event: 'orientationReset', callback: OrientationResetHandler): this;
+    on(event: 'fit', callback: FitHandler): this;
+    on(event: 'positionChange', callback: PositionChangeHandler): this;
+    on(event: 'hover', callback: HoverHandler): this;
+    on(event: 'home', callback: HomeHandler): this;
+    on(event: 'viewChange', callback: ViewChangeHandler): this;
+    on(event: 'projectionChange', callback: ProjectionChangeHandler): this;
+    on(event: 'arrowClick', callback: ArrowClickHandler): this;
+    on(event: 'roll', callback: RollHandler): this;
+    on(event: 'compassRotate', callback: CompassRotateHandler): this;
+    on(event: 'compassClick', callback: CompassClickHandler): this;
+    on(event: 'axisClick', callback: AxisClickHandler): this;
 
     off(event: 'faceClick', callback: FaceClickHandler): this;
     off(event: 'drag', callback: DragHandler): this;
+    off(event: 'transitionStart', callback: TransitionStartHandler): this;
+    off(event: 'transitionEnd', callback: TransitionEndHandler): this;
+    off(event: 'contextMenu', callback: ContextMenuHandler): this;
+    off(event: 'menuSelect', callback: MenuSelectHandler): this;
+    off(event: 'lockChange', callback: LockChangeHandler): this;
+    off(event: 'orientationReset', callback: OrientationResetHandler): this;
+    off(event: 'fit', callback: FitHandler): this;
+    off(event: 'positionChange', callback: PositionChangeHandler): this;
+    off(event: 'hover', callback: HoverHandler): this;
+    off(event: 'home', callback: HomeHandler): this;
+    off(event: 'viewChange', callback: ViewChangeHandler): this;
+    off(event: 'projectionChange', callback: ProjectionChangeHandler): this;
+    off(event: 'arrowClick', callback: ArrowClickHandler): this;
+    off(event: 'roll', callback: RollHandler): this;
+    off(event: 'compassRotate', callback: CompassRotateHandler): this;
+    off(event: 'compassClick', callback: CompassClickHandler): this;
+    off(event: 'axisClick', callback: AxisClickHandler): this;
 
     getFaceConfig(faceId: number): FaceConfig | undefined;
     getAllFaceConfigs(): Record<number, FaceConfig>;
+    getCurrentFace(camera?: THREE.Camera, tolerance?: number): number | null;
+    getFaceLabel(faceId: number): string;
 
     setSize(size: number): void;
-    setPosition(position: 'top-right' | 'top-left' | 'bottom-right' | 'bottom-left'): void;
+    setPixelRatio(pixelRatio: number | 'auto'): void;
+    setLabelResolution(resolution: number | 'auto'): void;
+    setPosition(position: ViewCubePosition, offset?: number | { x?: number; y?: number }): void;
+    getPosition(): ViewCubePosition;
 
     dispose(): void;
 }
@@ -62,23 +449,22 @@ export class ViewCube {
 export interface ViewCubeMeshOptions {
     size?: number;
     edgeSize?: number;
+    style?: CubeStyle;
+    mesh?: THREE.Object3D | null;
+    regions?: MeshRegions;
     showOutline?: boolean;
     showEdges?: boolean;
     showCorners?: boolean;
-    coordinateSystem?: 'Y-up' | 'Z-up';
-    colors?: {
-        main?: number;
-        hover?: number;
-        outline?: number;
-    };
-    labels?: {
-        top?: string;
-        bottom?: string;
-        front?: string;
-        back?: string;
-        left?: string;
-        right?: string;
-    };
+    coordinateSystem?: CoordinateSystem;
+    compass?: CompassOptions | null;
+    axisColors?: AxisColors | null;
+    axisTriad?: AxisTriadOptions | null;
+    resources?: ViewCubeResources;
+    labelResolution?: number;
+    anisotropy?: number;
+    createCanvas?: CanvasFactory;
+    colors?: ThemeColors;
+    labels?: FaceLabels;
     font?: {
         family?: string;
         size?: number;
@@ -90,9 +476,62 @@ export class ViewCubeMesh extends THREE.Object3D {
 
     setHover(faceId: number): void;
     clearHover(): void;
+    setActive(faceId: number | null): void;
+    getCompassDirection(letter: CompassLetter): THREE.Vector3;
+    getFaceAxis(faceId: number): 'x' | 'y' | 'z';
+    getRegionCenter(faceId: number, target?: THREE.Vector3): THREE.Vector3 | null;
     setQuaternion(quaternion: THREE.Quaternion): void;
+    getColors(): Required<Omit<ThemeColors, 'main'>>;
+    setColors(colors: ThemeColors): void;
+    setOpacity(opacity: number): void;
+    getOpacity(): number;
+    setLabels(labels: FaceLabels): void;
+    getLabelResolution(): number;
+    setLabelResolution(resolution: number): void;
+    setAnisotropy(anisotropy: number): void;
+    dispose(): void;
+}
+
+export class ViewCubeResources {
+    constructor();
+
+    readonly size: number;
+
+    acquire<T extends { dispose(): void }>(key: string, create: () => T): T;
+    release(resource: { dispose(): void }): void;
+    dispose(): void;
 }
 
+export interface ViewCubeManagerOptions {
+    linked?: boolean;
+    resources?: ViewCubeResources;
+}
+
+export type ManagerFaceClickHandler = (faceId: number, config: FaceConfig, viewCube: ViewCube) => void;
+
+export class ViewCubeManager extends EventEmitter {
+    constructor(options?: ViewCubeManagerOptions);
+
+    readonly resources: ViewCubeResources;
+    readonly viewCubes: ViewCube[];
+    readonly needsRender: boolean;
+
+    create(options: ViewCubeOptions, camera?: THREE.Camera, controls?: any, controllerOptions?: ViewCubeControllerOptions): ViewCube;
+    add(viewCube: ViewCube, camera?: THREE.Camera, controls?: any, controllerOptions?: ViewCubeControllerOptions): ViewCube;
+    remove(viewCube: ViewCube): void;
+
+    isLinked(): boolean;
+    setLinked(linked: boolean): void;
+
+    update(): void;
+    dispose(): void;
+
+    on(event: 'faceClick', callback: ManagerFaceClickHandler): this;
+    off(event: 'faceClick', callback: ManagerFaceClickHandler): this;
+}
+
+export const THEMES: Record<'light' | 'dark' | 'highContrast', Required<Omit<ThemeColors, 'main'>>>;
+
 export const FACES: {
     TOP: 1;
     FRONT: 2;
@@ -122,12 +561,22 @@ export const FACES: {
     BOTTOM_FRONT_LEFT_CORNER: 26;
 };
 
+export function getBoundingBox(bounds: Bounds, target?: THREE.Box3): THREE.Box3;
+export function getBoundingSphere(bounds: Bounds, target?: THREE.Sphere): THREE.Sphere;
 export function getFaceConfigs(
-    coordinateSystem?: 'Y-up' | 'Z-up',
+    coordinateSystem?: CoordinateSystem,
     distance?: number
 ): Record<number, FaceConfig>;
 
 export function getFaceName(faceId: number): string;
+export function getFaceType(faceId: number): 'face' | 'edge' | 'corner';
+export function getReadableFaceName(faceId: number, strings?: FaceNameStrings): string;
+export const FACE_NAME_STRINGS: Required<FaceNameStrings>;
+export function mirrorFaceId(faceId: number): number;
+export function getUpVector(coordinateSystem?: CoordinateSystem): Vector3Like;
+export function getAxes(coordinateSystem?: CoordinateSystem): Axes;
+export function getFaceDirection(faceId: number, coordinateSystem?: CoordinateSystem): Vector3Like;
+export function createViewConfig(offsetDirection: Vector3Like, up: Vector3Like, distance?: number): FaceConfig;
 
 export function easeInOutCubic(t: number): number;
 export function lerpAngle(from: number, to: number, t: number): number;